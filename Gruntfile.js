@@ -72,6 +72,9 @@ module.exports = function(grunt) {
           "../node_modules/quill/dist/quill.js",
           "../node_modules/quill-delta-to-html/dist/browser/QuillDeltaToHtmlConverter.bundle.js",
           "../node_modules/ifrpc/src/ifrpc.js",
+          "../node_modules/pdfjs-dist/build/pdf.js",
+          "../node_modules/qrcode-generator/qrcode.js",
+          "../node_modules/jsqr/dist/jsQR.js",
           "raven-js/dist/raven.js"  // Ensure this is last.
         ].map(x => add_prefix('components', x)),
         dest: `${static_dist}/js/app/deps.js`
@@ -157,6 +160,13 @@ module.exports = function(grunt) {
           'notifications.js',
           'sync.js',
           'calling.js',
+          'diagnostics.js',
+          'location.js',
+          'search.js',
+          'export.js',
+          'backup.js',
+          'retention.js',
+          'trust_policy.js',
           'models/searchable.js',
           'models/atlas.js',
           'models/users.js',
@@ -167,8 +177,12 @@ module.exports = function(grunt) {
           'models/messages.js',
           'models/threads.js',
           'models/state.js',
+          'models/logs.js',
           'models/trusted_identities.js',
+          'models/identity_history.js',
           'models/quarantined_messages.js',
+          'models/scheduled_messages.js',
+          'models/drafts.js',
           'models/counters.js',
           'emoji.js',
           'router.js',
@@ -179,10 +193,13 @@ module.exports = function(grunt) {
           'views/list.js',
           'views/popup.js',
           'views/nav.js',
+          'views/pdf_viewer.js',
           'views/attachment.js',
           'views/timestamp.js',
           'views/message.js',
           'views/thread.js',
+          'views/thread_replies.js',
+          'views/thread_gallery.js',
           'views/thread_stack.js',
           'views/conversation.js',
           'views/announcement.js',
@@ -195,7 +212,17 @@ module.exports = function(grunt) {
           'views/import_contacts.js',
           'views/settings.js',
           'views/archived_threads.js',
+          'views/scheduled_messages.js',
           'views/linked_devices.js',
+          'views/share_location.js',
+          'views/export_thread.js',
+          'views/backup.js',
+          'views/retention.js',
+          'views/quarantine.js',
+          'views/verify_identity.js',
+          'views/trust_policy.js',
+          'views/identity_history.js',
+          'views/sessions.js',
           'views/user_card.js',
           'views/tag_card.js',
           'views/zendesk_card.js',
@@ -236,8 +263,11 @@ module.exports = function(grunt) {
           'models/messages.js',
           'models/threads.js',
           'models/state.js',
+          'models/logs.js',
           'models/trusted_identities.js',
+          'models/identity_history.js',
           'models/quarantined_messages.js',
+          'models/drafts.js',
           'models/counters.js',
           'emoji.js',
           'router.js',
@@ -246,10 +276,13 @@ module.exports = function(grunt) {
           'views/file_input.js',
           'views/list.js',
           'views/popup.js',
+          'views/pdf_viewer.js',
           'views/attachment.js',
           'views/timestamp.js',
           'views/message.js',
           'views/thread.js',
+          'views/thread_replies.js',
+          'views/thread_gallery.js',
           'views/thread_stack.js',
           'views/conversation.js',
           'views/announcement.js',
@@ -292,8 +325,11 @@ module.exports = function(grunt) {
           'models/messages.js',
           'models/threads.js',
           'models/state.js',
+          'models/logs.js',
           'models/trusted_identities.js',
+          'models/identity_history.js',
           'models/quarantined_messages.js',
+          'models/drafts.js',
           'models/counters.js',
           'router.js',
           'views/base.js',
@@ -330,7 +366,10 @@ module.exports = function(grunt) {
           'models/messages.js',
           'models/threads.js',
           'models/state.js',
+          'models/logs.js',
           'models/trusted_identities.js',
+          'models/identity_history.js',
+          'models/drafts.js',
           'models/counters.js',
           'emoji.js',
           'views/base.js',
@@ -338,10 +377,13 @@ module.exports = function(grunt) {
           'views/file_input.js',
           'views/list.js',
           'views/popup.js',
+          'views/pdf_viewer.js',
           'views/attachment.js',
           'views/timestamp.js',
           'views/message.js',
           'views/thread.js',
+          'views/thread_replies.js',
+          'views/thread_gallery.js',
           'views/conversation.js',
           'views/announcement.js',
           'views/compose.js',
@@ -387,7 +429,9 @@ module.exports = function(grunt) {
           'app/models/messages.js',
           'app/models/threads.js',
           'app/models/state.js',
+          'app/models/logs.js',
           'app/models/trusted_identities.js',
+          'app/models/identity_history.js',
           'app/models/quarantined_messages.js',
           'app/models/counters.js',
           'app/foundation.js',
@@ -548,6 +592,11 @@ module.exports = function(grunt) {
           cwd: 'node_modules/librelay-web/',
           src: ['protos/**'],
           dest: static_dist
+        }, {
+          expand: true,
+          cwd: 'node_modules/pdfjs-dist/build',
+          src: ['pdf.worker.js'],
+          dest: `${static_dist}/js/lib`
         }, {
           expand: true,
           cwd: 'fontawesome/webfonts',
@@ -0,0 +1,340 @@
+// vim: ts=4:sw=4:expandtab
+/* global moment */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+    const ns = F.backup = {};
+
+    const logger = F.log.getLogger('backup');
+
+    const magic = 'FBACKUP';
+    const formatVersion = 1;
+    const chunkSize = 4 * 1024 * 1024;  // Plaintext bytes per AES-GCM call.
+    const tagSize = 16;
+    const kdfIterations = 250000;
+    const headerSize = magic.length + 1 + 4 + 16 + 12;
+    const batchSize = 250;
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    // Order matters for restore; messages reference threads and receipts reference messages.
+    const backupStores = ['threads', 'messages', 'receipts', 'contacts', 'trustedIdentities',
+                          'identityHistory'];
+
+    // Only user preferences are included.  Other state is device specific or secret.
+    const settingsKeys = [
+        'notificationSetting',
+        'notificationFilter',
+        'notificationSoundMuted',
+        'disableBugReporting',
+        'disableUsageReporting',
+        'disableTypingIndicators',
+        'theme',
+        'navCollapsed',
+        'recentEmojis',
+        'callVideoResolution',
+        'callVideoFps',
+        'callForceH264'
+    ];
+
+
+    function idbRequest(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = ev => resolve(ev.target.result);
+            req.onerror = ev => reject(ev.target.error);
+        });
+    }
+
+    function idbTransaction(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = ev => reject(ev.target.error);
+            tx.onabort = ev => reject(ev.target.error);
+        });
+    }
+
+    function readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    async function deriveKey(passphrase, salt) {
+        const material = await crypto.subtle.importKey('raw', textEncoder.encode(passphrase),
+                                                       'PBKDF2', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey({
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: kdfIterations,
+            salt
+        }, material, {name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+    }
+
+    function encodePayload(payload) {
+        /* JSON can't hold binary data, so buffers are swapped for references to
+         * chunks that follow the JSON section.  Returns a list of byte arrays so
+         * attachment data is never copied into one giant buffer. */
+        const buffers = [];
+        const json = JSON.stringify(payload, (key, value) => {
+            if (value instanceof ArrayBuffer) {
+                buffers.push(new Uint8Array(value));
+                return {__buffer: buffers.length - 1};
+            } else if (ArrayBuffer.isView(value)) {
+                buffers.push(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+                return {__buffer: buffers.length - 1, view: value.constructor.name};
+            }
+            return value;
+        });
+        const lengthPrefix = n => {
+            const prefix = new Uint8Array(4);
+            new DataView(prefix.buffer).setUint32(0, n);
+            return prefix;
+        };
+        const jsonBytes = textEncoder.encode(json);
+        const parts = [lengthPrefix(jsonBytes.length), jsonBytes];
+        for (const x of buffers) {
+            parts.push(lengthPrefix(x.length), x);
+        }
+        return parts;
+    }
+
+    function decodePayload(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const jsonLength = view.getUint32(0);
+        const buffers = [];
+        for (let offset = 4 + jsonLength; offset < bytes.length;) {
+            const length = view.getUint32(offset);
+            buffers.push(bytes.buffer.slice(bytes.byteOffset + offset + 4,
+                                            bytes.byteOffset + offset + 4 + length));
+            offset += 4 + length;
+        }
+        const json = textDecoder.decode(bytes.subarray(4, 4 + jsonLength));
+        return JSON.parse(json, (key, value) => {
+            if (value && typeof value === 'object' && typeof value.__buffer === 'number') {
+                const buf = buffers[value.__buffer];
+                return value.view ? new self[value.view](buf) : buf;
+            }
+            return value;
+        });
+    }
+
+    function chunkParams(header, iv, index, final) {
+        /* Each chunk gets its own nonce and is bound to its position so chunks
+         * can't be reordered, dropped or truncated from the end. */
+        const chunkIV = iv.slice();
+        const ivView = new DataView(chunkIV.buffer);
+        ivView.setUint32(8, ivView.getUint32(8) ^ index);
+        const additionalData = new Uint8Array(header.length + 5);
+        additionalData.set(header, 0);
+        new DataView(additionalData.buffer).setUint32(header.length, index);
+        additionalData[header.length + 4] = final ? 1 : 0;
+        return {name: 'AES-GCM', iv: chunkIV, additionalData};
+    }
+
+    async function encryptParts(key, header, iv, parts) {
+        /* Encrypt the payload parts as a series of fixed size chunks.  Only one
+         * chunk of plaintext is copied at a time and the ciphertext is left to the
+         * Blob, which the browser can page out. */
+        const total = parts.reduce((acc, x) => acc + x.length, 0);
+        const chunks = [];
+        let chunk = new Uint8Array(Math.min(chunkSize, total));
+        let chunkOffset = 0;
+        let written = 0;
+        for (const part of parts) {
+            for (let offset = 0; offset < part.length;) {
+                const n = Math.min(part.length - offset, chunk.length - chunkOffset);
+                chunk.set(part.subarray(offset, offset + n), chunkOffset);
+                offset += n;
+                chunkOffset += n;
+                written += n;
+                if (chunkOffset === chunk.length) {
+                    const final = written === total;
+                    const params = chunkParams(header, iv, chunks.length, final);
+                    chunks.push(await crypto.subtle.encrypt(params, key, chunk));
+                    chunk = new Uint8Array(Math.min(chunkSize, total - written));
+                    chunkOffset = 0;
+                }
+            }
+        }
+        return chunks;
+    }
+
+    async function decryptChunks(key, header, iv, file) {
+        /* The chunks are read one at a time, but the payload can only be decoded
+         * as a whole, so restore needs memory roughly equal to the backup size. */
+        const size = file.size - headerSize;
+        const count = Math.ceil(size / (chunkSize + tagSize));
+        const plaintext = new Uint8Array(size - count * tagSize);
+        for (let i = 0; i < count; i++) {
+            const start = headerSize + i * (chunkSize + tagSize);
+            const data = await readFile(file.slice(start, start + chunkSize + tagSize));
+            const params = chunkParams(header, iv, i, i === count - 1);
+            plaintext.set(new Uint8Array(await crypto.subtle.decrypt(params, key, data)), i * chunkSize);
+        }
+        return plaintext;
+    }
+
+    async function readStore(db, storeName, onRecord) {
+        /* Read a store in batches so we never hold a transaction across our own
+         * async work. */
+        let range;
+        for (;;) {
+            const tx = db.transaction(storeName);
+            const store = tx.objectStore(storeName);
+            const [keys, values] = await Promise.all([
+                idbRequest(store.getAllKeys(range, batchSize)),
+                idbRequest(store.getAll(range, batchSize))
+            ]);
+            for (let i = 0; i < keys.length; i++) {
+                onRecord(keys[i], values[i]);
+            }
+            if (keys.length < batchSize) {
+                return;
+            }
+            range = IDBKeyRange.lowerBound(keys[keys.length - 1], /*open*/ true);
+        }
+    }
+
+    ns.encodePayload = encodePayload;
+    ns.decodePayload = decodePayload;
+
+    ns.isSupported = function() {
+        return !F.managedConfig && !!(self.crypto && crypto.subtle);
+    };
+
+    ns.create = async function(passphrase, options) {
+        /* Build an encrypted backup of our history and settings.  Attachment data
+         * is only included when `options.attachments` is set; otherwise just the
+         * references needed to download them again are kept.  Returns a Blob. */
+        options = options || {};
+        const onProgress = options.onProgress || (() => {});
+        const db = await idbRequest(indexedDB.open(F.Database.id));
+        const stores = {};
+        for (const name of backupStores) {
+            const total = await F.util.dbStoreCount(F.Database.id, name);
+            const records = stores[name] = [];
+            await readStore(db, name, (key, value) => {
+                if (name === 'messages' && !options.attachments && value.attachments) {
+                    value.attachments = value.attachments.map(x => _.omit(x, 'data'));
+                }
+                records.push([key, value]);
+            });
+            onProgress(name, records.length, total);
+        }
+        const payload = {
+            version: formatVersion,
+            created: Date.now(),
+            appVersion: F.version,
+            userId: F.currentUser.id,
+            attachments: !!options.attachments,
+            settings: _.pick(await F.state.getDict(settingsKeys), x => x !== undefined),
+            stores
+        };
+        const parts = encodePayload(payload);
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const header = new Uint8Array(headerSize);
+        const headerView = new DataView(header.buffer);
+        header.set(textEncoder.encode(magic), 0);
+        headerView.setUint8(magic.length, formatVersion);
+        headerView.setUint32(magic.length + 1, kdfIterations);
+        header.set(salt, magic.length + 5);
+        header.set(iv, magic.length + 21);
+        const key = await deriveKey(passphrase, salt);
+        const chunks = await encryptParts(key, header, iv, parts);
+        const blob = new Blob([header].concat(chunks), {type: 'application/octet-stream'});
+        logger.info(`Created backup: ${blob.size} bytes`);
+        return blob;
+    };
+
+    ns.open = async function(file, passphrase) {
+        /* Decrypt and parse a backup file.  Throws if the file is not a backup,
+         * the passphrase is wrong or it belongs to another user. */
+        if (file.size <= headerSize) {
+            throw new TypeError("Not a backup file");
+        }
+        const header = new Uint8Array(await readFile(file.slice(0, headerSize)));
+        if (textDecoder.decode(header.subarray(0, magic.length)) !== magic) {
+            throw new TypeError("Not a backup file");
+        }
+        const headerView = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        const version = headerView.getUint8(magic.length);
+        if (version !== formatVersion) {
+            throw new TypeError("Unsupported backup version");
+        }
+        if (headerView.getUint32(magic.length + 1) !== kdfIterations) {
+            throw new TypeError("Unsupported backup key derivation");
+        }
+        const salt = header.slice(magic.length + 5, magic.length + 21);
+        const iv = header.slice(magic.length + 21, headerSize);
+        const key = await deriveKey(passphrase, salt);
+        let plaintext;
+        try {
+            plaintext = await decryptChunks(key, header, iv, file);
+        } catch(e) {
+            throw new Error("Incorrect passphrase or damaged backup");
+        }
+        const backup = decodePayload(plaintext);
+        if (backup.userId !== F.currentUser.id) {
+            throw new Error("Backup belongs to a different account");
+        }
+        return backup;
+    };
+
+    ns.summarize = function(backup) {
+        const counts = {};
+        for (const [name, records] of Object.entries(backup.stores)) {
+            counts[name] = records.length;
+        }
+        return {
+            created: backup.created,
+            attachments: backup.attachments,
+            counts
+        };
+    };
+
+    ns.restore = async function(backup, onProgress) {
+        /* Import an opened backup.  Records we already have are left alone, so
+         * restoring twice or after a history sync does not duplicate anything. */
+        onProgress = onProgress || (() => {});
+        const db = await idbRequest(indexedDB.open(F.Database.id));
+        const added = {};
+        for (const name of backupStores) {
+            const records = backup.stores[name] || [];
+            added[name] = 0;
+            for (let i = 0; i < records.length; i += batchSize) {
+                const tx = db.transaction(name, 'readwrite');
+                const store = tx.objectStore(name);
+                for (const [key, value] of records.slice(i, i + batchSize)) {
+                    const req = store.add(value, key);
+                    req.onsuccess = () => added[name]++;
+                    req.onerror = ev => {
+                        if (ev.target.error.name === 'ConstraintError') {
+                            ev.preventDefault();  // Already have it; don't abort the batch.
+                            ev.stopPropagation();
+                        }
+                    };
+                }
+                await idbTransaction(tx);
+                onProgress(name, Math.min(i + batchSize, records.length), records.length);
+            }
+        }
+        await F.state.putDict(backup.settings || {});
+        logger.info("Restored backup from", moment(backup.created).format(), added);
+        if (added.messages) {
+            F.searchIndex.reindex('messages').catch(e =>
+                logger.error("Failed to index restored messages:", e));
+        }
+        return added;
+    };
+
+    ns.download = function(blob) {
+        const stamp = moment().format('YYYY-MM-DD');
+        F.exporter.download(blob, `Forsta_Backup_${stamp}.fbackup`);
+    };
+})();
@@ -144,7 +144,6 @@
                 messages.createIndex('from-ngrams', '_from_ngrams', {multiEntry: true});
                 messages.createIndex('to-ngrams', '_to_ngrams', {multiEntry: true});
                 messages.createIndex('body-ngrams', '_body_ngrams', {multiEntry: true});
-                setTimeout(updateMessageSearchIndex, 10000); // Must run outside this context.
                 next();
             }
         }, {
@@ -208,6 +207,88 @@
                     }
                 };
             }
+        }, {
+            version: 23,
+            migrate: function(t, next) {
+                const messages = t.objectStore('messages');
+                messages.createIndex('messageRef-timestamp', ['messageRef', 'timestamp']);
+                next();
+            }
+        }, {
+            version: 24,
+            migrate: function(t, next) {
+                const store = t.db.createObjectStore('scheduledMessages');
+                store.createIndex('threadId-sendAt', ['threadId', 'sendAt']);
+                next();
+            }
+        }, {
+            version: 25,
+            migrate: function(t, next) {
+                t.db.createObjectStore('drafts');
+                next();
+            }
+        }, {
+            version: 26,
+            migrate: function(t, next) {
+                const logs = t.db.createObjectStore('logs');
+                logs.createIndex('timestamp', 'timestamp');
+                next();
+            }
+        }, {
+            version: 27,
+            migrate: function(t, next) {
+                const terms = t.db.createObjectStore('searchTerms',
+                                                     {keyPath: ['store', 'index', 'term', 'id']});
+                terms.createIndex('store-id', ['store', 'id']);
+                t.db.createObjectStore('searchQueue', {keyPath: ['store', 'id']});
+                const messages = t.objectStore('messages');
+                messages.deleteIndex('from-ngrams');
+                messages.deleteIndex('to-ngrams');
+                messages.deleteIndex('body-ngrams');
+                // The inverted index is rebuilt by F.searchIndex.start.
+                messages.openCursor().onsuccess = ev => {
+                    const cursor = ev.target.result;
+                    if (cursor) {
+                        const message = cursor.value;
+                        if (message._body_ngrams) {
+                            delete message._from_ngrams;
+                            delete message._to_ngrams;
+                            delete message._body_ngrams;
+                            cursor.update(message);
+                        }
+                        cursor.continue();
+                    } else {
+                        next();
+                    }
+                };
+            }
+        }, {
+            version: 28,
+            migrate: function(t, next) {
+                const store = t.db.createObjectStore('identityHistory');
+                store.createIndex('userId-timestamp', ['userId', 'timestamp']);
+                next();
+            }
+        }, {
+            version: 29,
+            migrate: function(t, next) {
+                const store = t.db.createObjectStore('sessionHistory');
+                store.createIndex('addr', 'addr');
+                next();
+            }
+        }, {
+            version: 30,
+            migrate: function(t, next) {
+                t.db.createObjectStore('pendingRecalls');
+                next();
+            }
+        }, {
+            version: 31,
+            migrate: function(t, next) {
+                const store = t.db.createObjectStore('pendingAmendments');
+                store.createIndex('messageRef', 'messageRef');
+                next();
+            }
         }]
     };
 
@@ -225,27 +306,6 @@
         }]
     };
 
-    async function updateMessageSearchIndex() {
-        console.warn("Starting message search index update...");
-        const messages = new F.MessageCollection();
-        await messages.fetch();
-        let i = 0;
-        for (const message of messages.models) {
-            if (++i % 100 === 0) {
-                console.log(`Updated search index for ${i++} messsages`);
-            }
-            try {
-                await message.save();
-            } catch(e) {
-                console.error("Error saving message:", e);
-            }
-        }
-        console.warn("Done updating message search index.");
-    }
-
-    F.updateMessageSearchIndex = updateMessageSearchIndex;
-
-
     async function onDBVersionChange() {
         F.foundation.stopServices();
         F.util.confirmModal({
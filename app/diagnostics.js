@@ -0,0 +1,110 @@
+// vim: ts=4:sw=4:expandtab
+/* global platform moment */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+    const ns = F.diagnostics = {};
+
+    const logLimit = 2000;
+    const countedStores = [
+        'messages',
+        'threads',
+        'receipts',
+        'protocolReceipts',
+        'contacts',
+        'drafts',
+        'scheduledMessages',
+        'quarantinedMessages',
+        'trustedIdentities',
+        'identityHistory',
+        'sessionHistory',
+        'sessions',
+        'preKeys',
+        'signedPreKeys',
+        'cache',
+        'counters',
+        'state',
+        'logs',
+        'searchTerms',
+        'searchQueue'
+    ];
+
+
+    async function getStateSummary() {
+        /* Only the keys and shapes of our state are exported; values may be secrets. */
+        const state = new F.StateCollection();
+        await state.fetch();
+        const summary = {};
+        for (const x of state.models) {
+            const value = x.get('value');
+            summary[x.id] = typeof value === 'boolean' ? value : typeof value;
+        }
+        return summary;
+    }
+
+    async function getStoreCounts() {
+        const counts = {};
+        for (const name of countedStores) {
+            try {
+                counts[name] = await F.util.dbStoreCount(F.Database.id, name);
+            } catch(e) {
+                counts[name] = `error: ${e.message}`;
+            }
+        }
+        return counts;
+    }
+
+    async function getDeviceInfo() {
+        const storage = navigator.storage;
+        return {
+            platform: platform.description,
+            userAgent: F.userAgent,
+            language: navigator.language,
+            online: navigator.onLine,
+            electron: !!F.electron,
+            managed: !!F.managedConfig,
+            screen: `${screen.width}x${screen.height}@${devicePixelRatio}`,
+            notificationPermission: self.Notification && Notification.permission,
+            storageEstimate: storage && storage.estimate && await storage.estimate(),
+            persistentStorage: storage && storage.persisted && await storage.persisted()
+        };
+    }
+
+    ns.build = async function() {
+        await F.log.flush();
+        const logs = new F.LogEntryCollection();
+        await logs.fetchRecent(logLimit);
+        return {
+            created: new Date().toISOString(),
+            version: F.version,
+            gitCommit: F.env.GIT_COMMIT,
+            stackEnv: F.env.STACK_ENV,
+            userId: F.currentUser && F.currentUser.id,
+            deviceId: F.currentDevice,
+            device: await getDeviceInfo(),
+            state: await getStateSummary(),
+            storeCounts: await getStoreCounts(),
+            logs: logs.map(x => _.pick(x.attributes, 'timestamp', 'level', 'logger', 'context',
+                                       'message'))
+        };
+    };
+
+    ns.download = async function() {
+        const bundle = await ns.build();
+        const stamp = moment().format('YYYY-MM-DD_HHmmss');
+        const link = document.createElement('a');
+        link.download = `Forsta_Diagnostics_${stamp}.json`;
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)],
+                                                 {type: 'application/json'}));
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        try {
+            link.click();
+        } finally {
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        }
+    };
+})();
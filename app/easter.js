@@ -90,6 +90,8 @@
             'contacts',
             'receipts',
             'protocolReceipts',
+            'scheduledMessages',
+            'drafts',
         ]);
         await F.state.remove('lastSync');
         await F.state.put('unreadCount', 0);
@@ -555,6 +557,72 @@
             about: 'Get information about a tag'
         });
 
+        if (F.scheduled) {
+            F.ComposeView.addCommand('later', /^\/later\s+((?:tomorrow\s+)?[^\s]+)(?:\s+([\s\S]*))?/i,
+                                     async function(when, text) {
+                const sendAt = F.scheduled.parseWhen(when);
+                if (!sendAt) {
+                    return `<i class="icon warning sign red"></i><b>Invalid time: ${when}</b>`;
+                }
+                text = (text || '').trim();
+                const files = await this.fileInput.getFiles();
+                if (!text && !files.length) {
+                    return '<i class="icon warning sign red"></i><b>Nothing to schedule</b>';
+                }
+                const safe_html = F.util.htmlSanitize(text, /*render_forstadown*/ true);
+                await F.scheduled.schedule(this.model, sendAt, text,
+                                           safe_html !== text ? safe_html : undefined, files);
+                return `<i class="icon clock"></i>Message scheduled for ${moment(sendAt).calendar()}`;
+            }, {
+                clientOnly: true,
+                icon: 'clock',
+                usage: '/later WHEN MESSAGE...',
+                about: 'Send a message later.  WHEN can be a time like <i>9am</i>, ' +
+                       '<i>tomorrow 17:30</i> or a delay like <i>30m</i>, <i>2h</i>'
+            });
+        }
+
+        F.ComposeView.addCommand('poll', /^\/poll\s+([\s\S]+)/, async function(args) {
+            const tokens = [];
+            const tokenRe = /["\u201c]([^"\u201d]*)["\u201d]|(\S+)/g;
+            let m;
+            while ((m = tokenRe.exec(args))) {
+                tokens.push(m[1] !== undefined ? {text: m[1].trim()} : {text: m[2], bare: true});
+            }
+            const poll = {options: []};
+            for (let i = 0; i < tokens.length; i++) {
+                const x = tokens[i];
+                if (x.bare && x.text === '--multiple') {
+                    poll.multiple = true;
+                } else if (x.bare && x.text === '--anonymous') {
+                    poll.anonymous = true;
+                } else if (x.bare && x.text === '--closes') {
+                    const when = tokens[++i] && tokens[i].text;
+                    poll.closes = when && F.scheduled && F.scheduled.parseWhen(when);
+                    if (!poll.closes) {
+                        return `<i class="icon warning sign red"></i><b>Invalid close time: ${when}</b>`;
+                    }
+                } else if (!x.text) {
+                    continue;
+                } else if (!poll.question) {
+                    poll.question = x.text;
+                } else {
+                    poll.options.push(x.text);
+                }
+            }
+            if (!poll.question || poll.options.length < 2) {
+                return '<i class="icon warning sign red"></i><b>A poll needs a question and at ' +
+                       'least two choices</b>';
+            }
+            await this.model.sendPoll(poll);
+        }, {
+            clientOnly: true,
+            icon: 'chart bar',
+            usage: '/poll "QUESTION" "CHOICE" "CHOICE"... [--multiple] [--anonymous] [--closes WHEN]',
+            about: 'Start a poll.  WHEN can be a time like <i>5pm</i> or a delay like <i>2h</i>.  ' +
+                   'Anonymous votes are only sent to you, so members just see the totals'
+        });
+
         F.ComposeView.addCommand('notices', /^\/notices\b/, async function() {
             const notices = Array.from(this.model.get('notices') || []).reverse();
             for (const x of notices) {
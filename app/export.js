@@ -0,0 +1,306 @@
+// vim: ts=4:sw=4:expandtab
+/* global moment */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+    const ns = F.exporter = {};
+
+    const logger = F.log.getLogger('export');
+
+    const batchSize = 100;
+    const textEncoder = new TextEncoder();
+
+    let _crcTable;
+
+
+    function crc32(bytes) {
+        if (!_crcTable) {
+            _crcTable = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let c = i;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                _crcTable[i] = c;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = _crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function toBytes(data) {
+        if (typeof data === 'string') {
+            return textEncoder.encode(data);
+        } else if (data instanceof ArrayBuffer) {
+            return new Uint8Array(data);
+        } else if (ArrayBuffer.isView(data)) {
+            return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        }
+        throw new TypeError("Unsupported file data");
+    }
+
+    function buildZip(files) {
+        /* Build an uncompressed (stored) zip archive.  Most of our payload is media
+         * that would not compress anyway, so we skip deflate entirely. */
+        const parts = [];
+        const central = [];
+        let offset = 0;
+        for (const file of files) {
+            const name = textEncoder.encode(file.name);
+            const data = toBytes(file.data);
+            const crc = crc32(data);
+            const mtime = moment(file.mtime || Date.now());
+            const dosTime = (mtime.hours() << 11) | (mtime.minutes() << 5) | (mtime.seconds() >> 1);
+            const dosDate = ((Math.max(mtime.year(), 1980) - 1980) << 9) | ((mtime.month() + 1) << 5) |
+                            mtime.date();
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);  // Local file header signature
+            header.setUint16(4, 20, true);  // Version needed
+            header.setUint16(6, 0x0800, true);  // UTF-8 names
+            header.setUint16(8, 0, true);  // Stored
+            header.setUint16(10, dosTime, true);
+            header.setUint16(12, dosDate, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);  // Central directory signature
+            entry.setUint16(4, 20, true);  // Version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            parts.push(header, name, data);
+            central.push(entry, name);
+            offset += 30 + name.length + data.length;
+        }
+        const centralSize = central.reduce((acc, x) => acc + x.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);  // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        return new Blob(parts.concat(central, [end]), {type: 'application/zip'});
+    }
+
+    function safeFilename(name) {
+        return name.replace(/[\\/:*?"<>|]+/g, '_').replace(/\s+/g, ' ').trim().substr(0, 100);
+    }
+
+    async function getMessages(thread, start, end, onProgress) {
+        /* Returns the thread's messages in ascending order, or undefined if the
+         * progress callback asked us to stop. */
+        const lower = [thread.id, start || 0];
+        const upper = [thread.id, end || Infinity];
+        const total = await F.util.dbStoreCount(F.Database.id, 'messages', {
+            index: 'threadId-timestamp',
+            bound: {lower, upper}
+        });
+        const messages = [];
+        const seen = new Set();
+        let limit = batchSize;
+        for (;;) {
+            // Resume inclusively; messages can share a timestamp across batches.
+            const batch = new F.MessageCollection();
+            await batch.fetch({
+                limit,
+                index: {
+                    name: 'threadId-timestamp',
+                    lower,
+                    upper
+                }
+            });
+            const fresh = batch.models.filter(x => !seen.has(x.id));
+            for (const x of fresh) {
+                seen.add(x.id);
+            }
+            messages.push(...fresh.filter(x => x.get('type') !== 'clientOnly'));
+            if (onProgress && onProgress('messages', messages.length, total) === false) {
+                return;
+            }
+            if (batch.length < limit) {
+                return messages;
+            }
+            const last = batch.at(-1).get('timestamp');
+            if (last === lower[1]) {
+                limit *= 2;  // The whole batch shares one timestamp; widen to get past it.
+            } else {
+                lower[1] = last;
+                limit = batchSize;
+            }
+        }
+    }
+
+    async function getAttachmentData(attachment) {
+        if (attachment.data) {
+            return attachment.data;
+        }
+        // Fetch without saving, exports shouldn't grow our local storage.
+        const mr = F.foundation.getMessageReceiver();
+        return await mr.fetchAttachment(attachment);
+    }
+
+    async function renderHTML(thread, messages, range, attachmentFiles) {
+        const template = await F.tpl.fetch(F.urls.templates + 'util/thread-export.html');
+        const senderIds = new Set(messages.map(x => x.get('sender')));
+        const contacts = (await F.atlas.getContacts(Array.from(senderIds))).filter(x => x);
+        const names = new Map(contacts.map(x => [x.id, x.getName()]));
+        return template({
+            title: thread.getNormalizedTitle(/*text*/ true),
+            distribution: thread.get('distributionPretty'),
+            type: thread.get('type'),
+            exported: Date.now(),
+            start: range.start,
+            end: range.end,
+            messages: messages.filter(x => !x.get('vote') && x.get('type') !== 'pollVote').map(x => {
+                const attrs = x.attributes;
+                return {
+                    id: x.id,
+                    sender: names.get(attrs.sender) || attrs.sender,
+                    outgoing: attrs.sender === F.currentUser.id,
+                    timestamp: attrs.timestamp,
+                    safe_html: attrs.safe_html,
+                    plain: attrs.plain,
+                    recalled: attrs.recalled,
+                    edited: !!(attrs.revisions && attrs.revisions.length),
+                    isReply: !!attrs.messageRef,
+                    location: attrs.location,
+                    poll: attrs.poll && {
+                        question: attrs.poll.question,
+                        options: attrs.poll.options
+                    },
+                    attachments: (attrs.attachments || []).map((a, i) => ({
+                        name: a.name || 'attachment',
+                        size: a.size,
+                        type: a.type,
+                        path: attachmentFiles && attachmentFiles.get(`${x.id}-${i}`)
+                    }))
+                };
+            })
+        });
+    }
+
+    async function getAttachmentFiles(messages, onProgress) {
+        /* Returns the zip entries and a map of `<messageId>-<index>` to path for the
+         * attachments we were able to fetch. */
+        const entries = messages.filter(x => x.get('attachments') && x.get('attachments').length);
+        const total = entries.reduce((acc, x) => acc + x.get('attachments').length, 0);
+        const files = [];
+        const paths = new Map();
+        const used = new Set();
+        let count = 0;
+        for (const message of entries) {
+            for (const [i, attachment] of message.get('attachments').entries()) {
+                let data;
+                try {
+                    data = await getAttachmentData(attachment);
+                } catch(e) {
+                    logger.warn("Skipping unavailable attachment:", e);
+                }
+                if (data) {
+                    let name = safeFilename(attachment.name || 'attachment') || 'attachment';
+                    for (let n = 1; used.has(name.toLowerCase()); n++) {
+                        name = name.replace(/^(.*?)(?: \(\d+\))?(\.[^.]*)?$/, `$1 (${n})$2`);
+                    }
+                    used.add(name.toLowerCase());
+                    const path = `attachments/${name}`;
+                    files.push({name: path, data, mtime: attachment.mtime || message.get('timestamp')});
+                    paths.set(`${message.id}-${i}`, path);
+                }
+                if (onProgress && onProgress('attachments', ++count, total) === false) {
+                    return;
+                }
+            }
+        }
+        return {files, paths};
+    }
+
+    ns.formats = ['html', 'json', 'zip'];
+    ns.buildZip = buildZip;
+
+    ns.exportThread = async function(thread, options) {
+        /* Export a thread's history as an HTML transcript, a JSON list of message
+         * exchanges or a zip containing both along with decrypted attachments.
+         *
+         * Options:
+         *   format: One of `ns.formats`.
+         *   start, end: Optional timestamp range (inclusive).
+         *   onProgress(stage, value, total): Called as work is done.  Returning
+         *                                    false cancels the export.
+         *
+         * Returns `{blob, filename}` or undefined if cancelled. */
+        options = options || {};
+        const format = options.format || 'html';
+        if (ns.formats.indexOf(format) === -1) {
+            throw new TypeError(`Invalid export format: ${format}`);
+        }
+        const range = {start: options.start, end: options.end};
+        const messages = await getMessages(thread, range.start, range.end, options.onProgress);
+        if (!messages) {
+            return;
+        }
+        const stamp = moment().format('YYYY-MM-DD');
+        const basename = safeFilename(`Forsta_${thread.getNormalizedTitle(/*text*/ true)}_${stamp}`);
+        const json = () => JSON.stringify({
+            version: 1,
+            exported: new Date().toISOString(),
+            threadId: thread.id,
+            messages: messages.map(x => thread.createMessageExchange(x)[0])
+        }, null, 2);
+        if (format === 'json') {
+            return {
+                blob: new Blob([json()], {type: 'application/json'}),
+                filename: `${basename}.json`
+            };
+        } else if (format === 'html') {
+            return {
+                blob: new Blob([await renderHTML(thread, messages, range)], {type: 'text/html'}),
+                filename: `${basename}.html`
+            };
+        } else {
+            const attachments = await getAttachmentFiles(messages, options.onProgress);
+            if (!attachments) {
+                return;
+            }
+            const html = await renderHTML(thread, messages, range, attachments.paths);
+            return {
+                blob: buildZip([{
+                    name: 'transcript.html',
+                    data: html
+                }, {
+                    name: 'messages.json',
+                    data: json()
+                }].concat(attachments.files)),
+                filename: `${basename}.zip`
+            };
+        }
+    };
+
+    ns.download = function(blob, filename) {
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        try {
+            link.click();
+        } finally {
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        }
+    };
+})();
@@ -358,18 +358,36 @@
             a.every((x, i) => x === b[i]);
     }
 
+    async function recordKeyChange(user, identityKey, attrs) {
+        /* Called before the new key is accepted so the old one can be recorded too. */
+        try {
+            await user.recordIdentityEvent('observed', Object.assign({
+                identityKey,
+                previousKey: await user.getIdentityKey()
+            }, attrs));
+        } catch(e) {
+            logger.error("Failed to record identity key change:", e);
+        }
+    }
+
     async function onIngressKeyChange(ev) {
         const user = await F.atlas.getContact(ev.keyError.addr);
         const trust = await user.getTrustedIdentity();
+        const proposedIdentityKey = new Uint8Array(ev.keyError.identityKey);
+        const observed = {
+            direction: 'incoming',
+            device: ev.envelope.sourceDevice
+        };
         if (!trust) {
             // This identity isn't considered trusted, so just let it go..
             logger.warn("Auto-accepting new identity key for: " + user);
+            await recordKeyChange(user, proposedIdentityKey, Object.assign({result: 'accepted'}, observed));
             await ev.accept();
             return;
         }
-        const proposedIdentityKey = new Uint8Array(ev.keyError.identityKey);
         if (identityMatch(trust.get('identityKey'), proposedIdentityKey)) {
             logger.info("New identity is already trusted for: " + user);
+            await recordKeyChange(user, proposedIdentityKey, Object.assign({result: 'accepted'}, observed));
             await ev.accept();
         } else {
             logger.warn("Quarantining message from untrusted: " + user);
@@ -381,6 +399,8 @@
             await msg.save();
 
             if (!identityMatch(user.get('proposedIdentityKey'), proposedIdentityKey)) {
+                await recordKeyChange(user, proposedIdentityKey,
+                                      Object.assign({result: 'quarantined'}, observed));
                 await user.save({proposedIdentityKey});
                 if (!self.document) {
                     return;  // Only do visual notification for UI thread
@@ -406,7 +426,7 @@
                     });
                     if (isValid) {
                         logger.warn("Accepting new identity key for: " + user);
-                        await user.trustIdentity(/*proposed*/ true);
+                        await user.trustIdentity(/*proposed*/ true, {via: 'identity-prompt'});
                     } else {
                         logger.error("Not accepting new identity key for: " + user);
                     }
@@ -418,18 +438,32 @@
     async function onEgressKeyChange(ev) {
         const user = await F.atlas.getContact(ev.keyError.addr);
         const trust = await user.getTrustedIdentity();
+        const proposedIdentityKey = new Uint8Array(ev.keyError.identityKey);
+        const observed = {direction: 'outgoing'};
         if (!trust) {
             // This identity isn't considered trusted, so just let it go..
             logger.warn("Auto-accepting new identity key for: " + user);
+            await recordKeyChange(user, proposedIdentityKey, Object.assign({result: 'accepted'}, observed));
             await ev.accept();
             return;
         }
-        const proposedIdentityKey = new Uint8Array(ev.keyError.identityKey);
         if (identityMatch(trust.get('identityKey'), proposedIdentityKey)) {
             logger.info("New identity is already trusted for: " + user);
+            await recordKeyChange(user, proposedIdentityKey, Object.assign({result: 'accepted'}, observed));
             await ev.accept();
         } else {
+            const strict = !!(F.trustPolicy && await F.trustPolicy.isStrictForSend(user.id));
+            if (!identityMatch(user.get('proposedIdentityKey'), proposedIdentityKey)) {
+                await recordKeyChange(user, proposedIdentityKey,
+                                      Object.assign({result: strict ? 'refused' : 'prompted'}, observed));
+            }
             await user.save({proposedIdentityKey});
+            if (strict) {
+                // Approval happens from the compose bar where the refused sends are held.
+                logger.error("Strict trust policy refused new identity key for: " + user);
+                await F.trustPolicy.holdRefusedSends(user.id);
+                return;
+            }
             if (!self.document) {
                 logger.error("Worker can't accept new identity key for: " + user);
                 return;
@@ -455,7 +489,7 @@
             });
             if (isValid) {
                 logger.warn("Accepting new identity key for: " + user);
-                await user.trustIdentity(/*proposed*/ true);
+                await user.trustIdentity(/*proposed*/ true, {via: 'identity-prompt'});
                 await ev.accept();
             } else {
                 logger.error("Not accepting new identity key for: " + user);
@@ -520,13 +554,25 @@
         const errors = ev.sessionError.decryptErrors;
         if (errors && errors.find(x => x instanceof libsignal.MessageCounterError)) {
             const looking = new F.Message({sent: ev.envelope.timestamp});
+            let found;
             try {
                 await looking.fetch();
+                found = true;
             } catch(e) {
-                return;  // Not found, so let session close proceed.
+                found = false;  // Not found, so let session close proceed.
             }
-            logger.warn("Duplicate message detected.  Preventing session close.");
-            ev.stop();
+            if (found) {
+                logger.warn("Duplicate message detected.  Preventing session close.");
+                ev.stop();
+                return;
+            }
+        }
+        const encodedAddr = `${ev.envelope.source}.${ev.envelope.sourceDevice}`;
+        try {
+            await ns.relayStore.noteSessionClosed(encodedAddr, 'outgoing', 'decrypt error');
+            await ns.relayStore.noteUndelivered(encodedAddr, ev.envelope.timestamp);
+        } catch(e) {
+            logger.error("Failed to record session close:", e);
         }
     }
 
@@ -0,0 +1,157 @@
+// vim: ts=4:sw=4:expandtab
+/* global */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+    const ns = F.location = {};
+
+    const logger = F.log.getLogger('location');
+
+    const liveUpdateInterval = 30 * 1000;
+    const positionTimeout = 20 * 1000;
+
+    const _live = new Map();
+    const liveStateKey = 'liveLocations';
+
+
+    function toLocation(pos) {
+        return {
+            latitude: pos.coords.latitude,
+            longitude: pos.coords.longitude,
+            accuracy: pos.coords.accuracy,
+            timestamp: pos.timestamp
+        };
+    }
+
+    ns.isSupported = function() {
+        return !!navigator.geolocation;
+    };
+
+    ns.getCurrentPosition = async function() {
+        const pos = await new Promise((resolve, reject) =>
+            navigator.geolocation.getCurrentPosition(resolve, reject, {
+                enableHighAccuracy: true,
+                timeout: positionTimeout
+            }));
+        const location = toLocation(pos);
+        await F.state.put('lastLocation', location);
+        return location;
+    };
+
+    ns.getLabel = async function(location) {
+        const geocode = await F.util.reverseGeocode(location.latitude, location.longitude);
+        const best = geocode.street_address || geocode.locality;
+        return best && best.formatted_address;
+    };
+
+    ns.share = async function(thread, location, liveMinutes) {
+        /* Send a location message.  With `liveMinutes` we keep watching our position
+         * and send updates to it until the time runs out or sharing is stopped. */
+        location = Object.assign({}, location);
+        if (!location.label) {
+            try {
+                location.label = await ns.getLabel(location);
+            } catch(e) {
+                logger.warn("Reverse geocode failed:", e);
+            }
+        }
+        if (liveMinutes) {
+            location.liveUntil = Date.now() + liveMinutes * 60 * 1000;
+        }
+        const message = await thread.sendLocation(location);
+        if (liveMinutes) {
+            startLive(thread, message);
+        }
+        return message;
+    };
+
+    ns.start = async function() {
+        /* Pick up live shares that were running when the app last closed.  Any
+         * that have since run out are dropped; their liveUntil already told
+         * everyone else when they ended. */
+        const saved = (await F.state.get(liveStateKey)) || [];
+        for (const x of saved) {
+            const thread = F.foundation.allThreads.get(x.threadId);
+            const message = thread && await thread.getMessage(x.messageId);
+            const location = message && message.get('location');
+            if (!location || !location.liveUntil || Date.now() >= location.liveUntil ||
+                !ns.isSupported()) {
+                logger.info("Dropping expired live location:", x.messageId);
+                continue;
+            }
+            logger.info("Resuming live location:", x.messageId);
+            startLive(thread, message, /*noSave*/ true);
+        }
+        await saveLive();
+    };
+
+    ns.isLive = function(messageId) {
+        return _live.has(messageId);
+    };
+
+    ns.stopLive = async function(messageId) {
+        const live = _live.get(messageId);
+        if (!live) {
+            return;
+        }
+        _live.delete(messageId);
+        navigator.geolocation.clearWatch(live.watchId);
+        clearInterval(live.timer);
+        await saveLive();
+        refreshMessage(live);
+        // Ending the live period early tells everyone else we've stopped.
+        const location = Object.assign({}, live.latest || live.message.get('location'), {
+            liveUntil: Math.min(Date.now(), live.message.get('location').liveUntil)
+        });
+        await live.thread.updateLocation(live.message, location);
+    };
+
+    async function saveLive() {
+        await F.state.put(liveStateKey, Array.from(_live.values()).map(x => ({
+            threadId: x.thread.id,
+            messageId: x.message.id
+        })));
+    }
+
+    function refreshMessage(live) {
+        /* A resumed share starts from a detached model; prefer the one the
+         * thread has loaded so the message card sees our updates. */
+        live.message = live.thread.messages.get(live.message.id) || live.message;
+    }
+
+    function startLive(thread, message, noSave) {
+        const live = {
+            thread,
+            message,
+            sent: message.get('location').timestamp
+        };
+        live.watchId = navigator.geolocation.watchPosition(pos => {
+            live.latest = toLocation(pos);
+        }, e => logger.warn("Live location error:", e), {enableHighAccuracy: true});
+        live.timer = setInterval(() => sendLiveUpdate(live), liveUpdateInterval);
+        _live.set(message.id, live);
+        if (!noSave) {
+            saveLive().catch(e => logger.error("Failed to save live locations:", e));
+        }
+    }
+
+    async function sendLiveUpdate(live) {
+        refreshMessage(live);
+        const liveUntil = live.message.get('location').liveUntil;
+        if (Date.now() >= liveUntil) {
+            await ns.stopLive(live.message.id);
+            return;
+        }
+        if (!live.latest || live.latest.timestamp <= live.sent) {
+            return;  // We haven't moved, or at least the device hasn't told us so.
+        }
+        live.sent = live.latest.timestamp;
+        try {
+            await live.thread.updateLocation(live.message, Object.assign({liveUntil}, live.latest));
+        } catch(e) {
+            logger.error("Failed to send live location update:", e);
+        }
+    }
+})();
@@ -68,19 +68,142 @@
     }
 
 
+    const maxPersisted = 5000;
+    const maxPending = 1000;
+    const maxValueLength = 2000;
+    const flushDelay = 2000;
+    const pruneInterval = 20;  // flushes
+    const redacted = '[REDACTED]';
+    const sensitiveProps = /key|secret|password|passphrase|token|signature|mnemonic|^(body|plain|safe_html|html|text|data|content|attachments)$/i;
+    const opaqueTokens = /[A-Za-z0-9+/=_-]{40,}/g;  // Base64/hex keys, JWTs, signatures...
+
+    const _pending = [];
+    let _flushTimer;
+    let _flushCount = 0;
+
+    function getContext() {
+        if (!self.document) {
+            return 'service-worker';
+        } else if (F.surrogate) {
+            return 'surrogate';
+        } else if (F.managedConfig) {
+            return 'managed';
+        } else {
+            return 'window';
+        }
+    }
+
+    function serialize(value, isArg) {
+        /* Render a log argument as text with keys and message content redacted.
+         * Free-form string arguments can carry message bodies or titles, so only
+         * single token strings (ids, addresses, types) are kept verbatim. */
+        let text;
+        if (typeof value === 'string') {
+            text = isArg && /\s/.test(value) ? `[REDACTED ${value.length} chars]` : value;
+        } else if (value instanceof Error) {
+            text = `${value.name}: ${value.message}` + (value.stack ? `\n${value.stack}` : '');
+        } else if (value === null || typeof value !== 'object') {
+            text = String(value);
+        } else {
+            const seen = new WeakSet();
+            try {
+                text = JSON.stringify(value, (key, val) => {
+                    if (key && sensitiveProps.test(key)) {
+                        return redacted;
+                    } else if (val instanceof ArrayBuffer || ArrayBuffer.isView(val)) {
+                        return `[${val.byteLength} bytes]`;
+                    } else if (val && typeof val === 'object') {
+                        if (seen.has(val)) {
+                            return '[Circular]';
+                        }
+                        seen.add(val);
+                    }
+                    return val;
+                });
+            } catch(e) {
+                text = Object.prototype.toString.call(value);
+            }
+        }
+        text = text.replace(opaqueTokens, redacted);
+        return text.length > maxValueLength ? text.substr(0, maxValueLength) + '...' : text;
+    }
+
+    function capture(level, loggerName, markup, ...args) {
+        const message = typeof markup === 'string' ? markup.replace(/(<([^>]+)>)/ig, '') : markup;
+        const timestamp = Date.now();
+        _pending.push({
+            id: `${timestamp}-${Math.random().toString(36).substr(2, 8)}`,
+            timestamp,
+            level,
+            logger: loggerName,
+            context: getContext(),
+            message: [serialize(message)].concat(args.map(x => serialize(x, true))).join(' ')
+        });
+        if (_pending.length > maxPending) {
+            _pending.shift();
+        }
+        scheduleFlush();
+    }
+
+    function scheduleFlush() {
+        if (!_flushTimer) {
+            _flushTimer = setTimeout(flush, flushDelay);
+        }
+    }
+
+    async function flush() {
+        /* Entries are held in memory until the user database is available. */
+        _flushTimer = null;
+        if (!F.Database || !F.Database.id || !F.LogEntry) {
+            if (_pending.length) {
+                scheduleFlush();
+            }
+            return;
+        }
+        const entries = _pending.splice(0);
+        try {
+            await F.util.dbStorePut(F.Database.id, 'logs', entries);
+            if (_flushCount++ % pruneInterval === 0) {
+                await prune();
+            }
+        } catch(e) {
+            console.warn("Failed to persist log entries:", e);  // Not captured to avoid feedback.
+        }
+    }
+
+    async function prune() {
+        /* Trim the oldest entries so the log behaves like a ring buffer. */
+        const count = await F.util.dbStoreCount(F.Database.id, 'logs');
+        if (count > maxPersisted) {
+            const expired = new F.LogEntryCollection();
+            await expired.fetch({
+                index: {name: 'timestamp'},
+                limit: count - maxPersisted
+            });
+            await Promise.all(Array.from(expired.models).map(x => x.destroy()));
+        }
+    }
+
+    ns.flush = flush;
+
+
     ns.debug = function() {
+        capture('debug', null, ...arguments);
         return makeLogFunc(console.debug, ...arguments)();
     };
 
     ns.info = function() {
+        capture('info', null, ...arguments);
         return makeLogFunc(console.info, ...arguments)();
     };
 
     ns.warn = function() {
+        capture('warn', null, ...arguments);
         return makeLogFunc(console.warn, ...arguments)();
     };
 
     ns.error = function() {
+        capture('error', null, ...arguments);
         return makeLogFunc(console.error, ...arguments)();
     };
 
@@ -110,24 +233,28 @@
 
         debug() {
             if (this._level <= _levels['debug']) {
+                capture('debug', this.name, ...arguments);
                 return this._makeLogFunc(console.debug, ...arguments)();
             }
         }
 
         info() {
             if (this._level <= _levels['info']) {
+                capture('info', this.name, ...arguments);
                 return this._makeLogFunc(console.info, ...arguments)();
             }
         }
 
         warn() {
             if (this._level <= _levels['warn']) {
+                capture('warn', this.name, ...arguments);
                 return this._makeLogFunc(console.warn, ...arguments)();
             }
         }
 
         error() {
             if (this._level <= _levels['error']) {
+                capture('error', this.name, ...arguments);
                 return this._makeLogFunc(console.error, ...arguments)();
             }
         }
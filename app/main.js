@@ -199,12 +199,17 @@
 
         await checkPreMessages();
         await checkInterruptedCalls();
+        await F.scheduled.start();
+        F.searchIndex.start();  // bg okay
+        F.retention.start();
+        F.location.start();  // bg okay
 
         const lastSync = (await F.state.get('lastSync')) || 0;
         if (lastSync < Date.now() - (86400 * 5 * 1000)) {
             await F.util.syncContentHistory({silent: lastSync !== 0});
             (new F.sync.Request()).syncDeviceInfo();
         }
+        (new F.sync.Request()).syncDrafts();  // bg okay
         F.sleep(86400 * Math.random()).then(() => (new F.sync.Request()).syncDeviceInfo());
     }
 
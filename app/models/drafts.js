@@ -0,0 +1,82 @@
+// vim: ts=4:sw=4:expandtab
+/* global Backbone */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+
+
+    F.Draft = Backbone.Model.extend({
+        database: F.Database,
+        storeName: 'drafts',
+
+        isEmpty: function() {
+            return !this.get('html') && !(this.get('attachments') || []).length;
+        },
+
+        fetchAttachmentData: async function() {
+            /* Attachments synced from our other devices are only pointers until
+             * they are first used. */
+            let fetched;
+            for (const x of this.get('attachments') || []) {
+                if (!x.data) {
+                    const mr = F.foundation.getMessageReceiver();
+                    x.data = await mr.fetchAttachment(x);
+                    fetched = true;
+                }
+            }
+            if (fetched) {
+                await this.save();
+            }
+        },
+
+        getFiles: async function() {
+            await this.fetchAttachmentData();
+            return (this.get('attachments') || []).map(x => Object.assign(
+                new File([x.data], x.name, {type: x.type, lastModified: x.mtime}),
+                {duration: x.duration, waveform: x.waveform}));
+        }
+    }, {
+        load: async function(threadId) {
+            const draft = new this({id: threadId});
+            try {
+                await draft.fetch();
+            } catch(e) {
+                if (e instanceof ReferenceError) {
+                    return;
+                } else {
+                    throw e;
+                }
+            }
+            return draft;
+        },
+
+        store: async function(thread, html, attachments, updated) {
+            /* Drafts are emptied rather than removed so the deletion can be synced
+             * to our other devices. */
+            const draft = new this({
+                id: thread.id,
+                html,
+                attachments: attachments || [],
+                updated: updated || Date.now()
+            });
+            const hasDraft = !draft.isEmpty();
+            if (!hasDraft && !thread.get('hasDraft')) {
+                return;  // Nothing to clear.
+            }
+            await draft.save();
+            if (hasDraft !== !!thread.get('hasDraft')) {
+                await thread.save({hasDraft});
+            }
+            return draft;
+        }
+    });
+
+
+    F.DraftCollection = Backbone.Collection.extend({
+        model: F.Draft,
+        database: F.Database,
+        storeName: 'drafts'
+    });
+})();
@@ -0,0 +1,44 @@
+// vim: ts=4:sw=4:expandtab
+/* global Backbone */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+
+    F.IdentityEvent = Backbone.Model.extend({
+        /* One entry in a contact's identity key history.  Actions are:
+         *   observed: A new key was seen on an incoming or outgoing message.
+         *   accepted: The new key was accepted automatically (contact not trusted).
+         *   quarantined: A message was held because the contact was trusted.
+         *   trusted, verified, untrusted, revoked: Trust changes and how they were made.
+         */
+        database: F.Database,
+        storeName: 'identityHistory',
+
+        defaults: () => ({
+            timestamp: Date.now(),
+            observerDevice: F.currentDevice
+        })
+    });
+
+    F.IdentityEventCollection = Backbone.Collection.extend({
+        model: F.IdentityEvent,
+        database: F.Database,
+        storeName: 'identityHistory',
+
+        comparator: function(a, b) {
+            return b.get('timestamp') - a.get('timestamp');
+        },
+
+        fetchByUser: async function(userId) {
+            await this.fetch({
+                index: {
+                    name: 'userId-timestamp',
+                    lower: [userId],
+                    upper: [userId, Infinity]
+                }
+            });
+        }
+    });
+})();
@@ -0,0 +1,33 @@
+// vim: ts=4:sw=4:expandtab
+/* global Backbone */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+
+
+    F.LogEntry = Backbone.Model.extend({
+        database: F.Database,
+        storeName: 'logs'
+    });
+
+
+    F.LogEntryCollection = Backbone.Collection.extend({
+        model: F.LogEntry,
+        database: F.Database,
+        storeName: 'logs',
+
+        comparator: 'timestamp',
+
+        fetchRecent: async function(limit) {
+            await this.fetch({
+                index: {
+                    name: 'timestamp',
+                    order: 'desc'
+                },
+                limit
+            });
+        }
+    });
+})();
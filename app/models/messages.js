@@ -9,6 +9,9 @@
     const logger = F.log.getLogger('models.messages');
     logger.setLevel('debug');
 
+    const maxReactionLength = 16;
+    const maxReactionsPerSender = 20;
+
 
     class StopHandler {
         constructor(message) {
@@ -108,18 +111,16 @@
     F.Message = F.SearchableModel.extend({
         database: F.Database,
         storeName: 'messages',
+        searchTimestamp: 'timestamp',
         searchIndexes: [{
-            length: 3,
             attr: async model => {
                 const from = await model.getSender();
                 if (from) {
                     return from.getName() + ' ' + from.getTagSlug();
                 }
             },
-            index: 'from-ngrams',
-            column: '_from_ngrams'
+            index: 'from'
         }, {
-            length: 3,
             attr: async model => {
                 const thread = await model.getThread();
                 if (thread) {
@@ -127,21 +128,36 @@
                     return to.map(x => x.getName() + ' ' + x.getTagSlug({full: true})).join(' ');
                 }
             },
-            index: 'to-ngrams',
-            column: '_to_ngrams'
+            index: 'to'
         }, {
             default: true,
-            length: 3,
             attr: 'plain',
-            index: 'body-ngrams',
-            column: '_body_ngrams'
+            index: 'body'
         }],
 
         messageHandlerMap: {
             content: '_handleContentMessage',
+            edit: '_handleContentMessage',
+            reaction: '_handleContentMessage',
+            poll: '_handleContentMessage',
+            pollVote: '_handleContentMessage',
+            pollClose: '_handleContentMessage',
+            pollTally: '_handleContentMessage',
+            location: '_handleContentMessage',
+            locationUpdate: '_handleContentMessage',
             control: '_handleControlMessage'
         },
 
+        // Content types that only amend the message they reference.
+        refHandlerMap: {
+            edit: '_applyEdit',
+            reaction: '_applyReaction',
+            pollVote: '_applyPollVote',
+            pollClose: '_applyPollClose',
+            pollTally: '_applyPollTally',
+            locationUpdate: '_applyLocationUpdate'
+        },
+
         controlHandlerMap: {
             discover: '_handleDiscoverControl',
             provisionRequest: '_handleProvisionRequestControl',
@@ -163,7 +179,9 @@
             closeSession: '_handleCloseSessionControl',
             readMark: '_handleReadMarkControl',
             pendingMessage: '_handlePendingMessageControl',
+            typing: '_handleTypingControl',
             beacon: '_handleBeaconControl',
+            messageRecall: '_handleMessageRecallControl',
         },
 
         initialize: function() {
@@ -258,6 +276,9 @@
                     meta.push('Message expiration turned off');
                 }
             }
+            if (this.get('recalled')) {
+                meta.push('Message recalled');
+            }
             if (this.get('type') === 'keychange') {
                 meta.push('Identity key changed');
             }
@@ -411,12 +432,54 @@
                     name: meta.name,
                     size: meta.size,
                     mtime: meta.mtime,
+                    duration: meta.duration,
+                    waveform: meta.waveform,
                     id: attx.id.toString(),
                     key: attx.key.toArrayBuffer(),
                 };
             });
         },
 
+        parseForwarded(exchange) {
+            /* The attribution block is whatever the forwarder says it is.  Keep
+             * only well formed fields and flag it so it's never shown as fact. */
+            const fwd = exchange.data && exchange.data.forwarded;
+            if (!fwd || typeof fwd !== 'object' || typeof fwd.senderName !== 'string') {
+                return;
+            }
+            return {
+                sender: typeof fwd.sender === 'string' ? fwd.sender : undefined,
+                senderName: fwd.senderName.substr(0, 100),
+                threadTitle: typeof fwd.threadTitle === 'string' ? fwd.threadTitle.substr(0, 100) : undefined,
+                timestamp: Number.isFinite(fwd.timestamp) ? fwd.timestamp : undefined,
+                unverified: true
+            };
+        },
+
+        parsePoll(exchange) {
+            /* Polls are rendered straight from these fields, so anything malformed
+             * is dropped rather than stored. */
+            const poll = exchange.data && exchange.data.poll;
+            const isOptional = (value, type) => value === undefined || typeof value === type;
+            if (!poll || typeof poll !== 'object' || typeof poll.question !== 'string' ||
+                !Array.isArray(poll.options) || poll.options.length < 2 ||
+                !poll.options.every(x => typeof x === 'string') ||
+                !isOptional(poll.multiple, 'boolean') || !isOptional(poll.anonymous, 'boolean') ||
+                (poll.closes !== undefined && !Number.isFinite(poll.closes))) {
+                if (poll) {
+                    logger.warn("Dropping invalid poll:", exchange.messageId);
+                }
+                return;
+            }
+            return {
+                question: poll.question,
+                options: Array.from(poll.options),
+                multiple: poll.multiple,
+                anonymous: poll.anonymous,
+                closes: poll.closes
+            };
+        },
+
         handleDataMessage: function(dataMessage) {
             const exchange = dataMessage.body ? this.parseExchange(dataMessage.body) : {};
             const requiredAttrs = new F.util.ESet([
@@ -436,6 +499,9 @@
                 }
                 return;
             }
+            if (this.get('keyChange') && exchange.threadId) {
+                this._noteKeyChangeThread(exchange.threadId);  // bg okay
+            }
             // Maintain processing order by threadId or messageType (e.g. avoid races).
             const queue = 'msg-handler:' + (exchange.threadId || exchange.messageType);
             const messageHandler = this[this.messageHandlerMap[exchange.messageType]];
@@ -458,6 +524,13 @@
             });
         },
 
+        _noteKeyChangeThread: async function(threadId) {
+            const source = await F.atlas.getContact(this.get('source'));
+            if (source) {
+                await source.noteIdentityEventThread(threadId);
+            }
+        },
+
         _handleControlMessage: async function(exchange, dataMessage) {
             await this.destroy(); // No need for a message object in control cases.
             const control = exchange.data && exchange.data.control;
@@ -557,8 +630,16 @@
                 vote: exchange.data && exchange.data.vote,
                 actions: exchange.data && exchange.data.actions,
                 actionOptions: exchange.data && exchange.data.actionOptions,
+                forwarded: this.parseForwarded(exchange),
+                poll: this.parsePoll(exchange),
+                location: exchange.data && exchange.data.location,
                 timestamp: exchange.timestamp || this.get('timestamp')
             });
+            const refHandler = this[this.refHandlerMap[this.get('type')]];
+            if (refHandler) {
+                await refHandler.call(this, thread, exchange);
+                return;
+            }
             /* Sometimes the delivery receipts and read-syncs arrive before we get the message
              * itself.  Drain any pending actions from their queue and associate them now. */
             if (!this.get('incoming')) {
@@ -579,6 +660,146 @@
             }
             await this.save();
             await thread.addMessage(this);
+            for (const x of await F.drainAmendments(this)) {
+                const amendment = new F.Message(x.get('attrs'));
+                const handler = amendment[amendment.refHandlerMap[amendment.get('type')]];
+                await handler.call(amendment, thread, {data: x.get('data')});
+            }
+            const recall = await F.drainRecall(this);
+            if (recall) {
+                if (recall.get('sender') === this.get('sender')) {
+                    await thread.applyRecall(this, {
+                        sender: recall.get('sender'),
+                        timestamp: recall.get('timestamp')
+                    });
+                } else {
+                    F.util.reportWarning("Dropping recall from non-author", {
+                        messageId: this.id,
+                        source: recall.get('sender')
+                    });
+                }
+            }
+        },
+
+        _applyEdit: async function(thread, exchange) {
+            /* Edits are not stored as messages of their own.  They are folded into
+             * the message they reference as a new revision. */
+            const target = await thread.getMessage(this.get('messageRef'));
+            if (!target) {
+                logger.info("Holding edit for message not yet received:", this.get('messageRef'));
+                await F.enqueueAmendment(this, exchange);
+                return;
+            }
+            if (target.get('sender') !== this.get('sender')) {
+                F.util.reportWarning("Dropping edit from non-author", {
+                    messageRef: this.get('messageRef'),
+                    sender: this.get('sender')
+                });
+                return;
+            }
+            await target.addRevision(this);
+        },
+
+        _applyReaction: async function(thread, exchange) {
+            const reactions = exchange.data && exchange.data.reactions;
+            if (!Array.isArray(reactions)) {
+                logger.warn("Dropping invalid reaction:", exchange);
+                return;
+            }
+            const target = await thread.getMessage(this.get('messageRef'));
+            if (!target) {
+                logger.info("Holding reaction for message not yet received:", this.get('messageRef'));
+                await F.enqueueAmendment(this, exchange);
+                return;
+            }
+            // Anything bigger than an emoji sequence isn't a reaction.
+            const emojis = Array.from(new Set(reactions.filter(x =>
+                typeof x === 'string' && x.length && x.length <= maxReactionLength)));
+            await target.setReactions(this.get('sender'), emojis.slice(0, maxReactionsPerSender),
+                                      this.get('timestamp'));
+        },
+
+        _applyPollVote: async function(thread, exchange) {
+            const target = await thread.getMessage(this.get('messageRef'));
+            if (!target || !target.get('poll')) {
+                logger.warn("Dropping vote for missing poll:", this.get('messageRef'));
+                return;
+            }
+            const choices = exchange.data && exchange.data.choices;
+            if (!Array.isArray(choices)) {
+                logger.warn("Dropping invalid poll vote:", exchange);
+                return;
+            }
+            const sender = this.get('sender');
+            const creator = target.get('sender');
+            if (target.get('poll').anonymous && sender !== F.currentUser.id &&
+                creator !== F.currentUser.id) {
+                // Only the creator may know who voted; they publish the tallies.
+                logger.warn("Dropping anonymous vote meant for the poll creator:", target.id);
+                return;
+            }
+            if (await target.setPollVote(sender, choices, this.get('timestamp')) &&
+                target.get('poll').anonymous && creator === F.currentUser.id) {
+                await thread.sendPollTally(target);
+            }
+        },
+
+        _applyPollTally: async function(thread, exchange) {
+            const target = await thread.getMessage(this.get('messageRef'));
+            if (!target || !target.get('poll')) {
+                logger.warn("Dropping tally for missing poll:", this.get('messageRef'));
+                return;
+            }
+            if (target.get('sender') !== this.get('sender')) {
+                F.util.reportWarning("Dropping poll tally from non-author", {
+                    messageRef: this.get('messageRef'),
+                    sender: this.get('sender')
+                });
+                return;
+            }
+            const tally = exchange.data;
+            if (!tally || !Array.isArray(tally.counts) || !Number.isInteger(tally.voterCount)) {
+                logger.warn("Dropping invalid poll tally:", exchange);
+                return;
+            }
+            await target.setPollTally(tally, this.get('timestamp'));
+        },
+
+        _applyPollClose: async function(thread) {
+            const target = await thread.getMessage(this.get('messageRef'));
+            if (!target || !target.get('poll')) {
+                logger.warn("Dropping close for missing poll:", this.get('messageRef'));
+                return;
+            }
+            if (target.get('sender') !== this.get('sender')) {
+                F.util.reportWarning("Dropping poll close from non-author", {
+                    messageRef: this.get('messageRef'),
+                    sender: this.get('sender')
+                });
+                return;
+            }
+            await target.closePoll(this.get('timestamp'));
+        },
+
+        _applyLocationUpdate: async function(thread, exchange) {
+            const target = await thread.getMessage(this.get('messageRef'));
+            if (!target || !target.get('location')) {
+                logger.warn("Dropping update for missing location:", this.get('messageRef'));
+                return;
+            }
+            if (target.get('sender') !== this.get('sender')) {
+                F.util.reportWarning("Dropping location update from non-author", {
+                    messageRef: this.get('messageRef'),
+                    sender: this.get('sender')
+                });
+                return;
+            }
+            const location = exchange.data && exchange.data.location;
+            if (!location) {
+                logger.warn("Dropping invalid location update:", exchange);
+                return;
+            }
+            await target.setLocation(location, this.get('timestamp'));
         },
 
         _handleDiscoverControl: async function(exchange, dataMessage) {
@@ -714,7 +935,8 @@
             ev.id = exchange.threadId;
             ev.data = {
                 exchange,
-                message: this
+                message: this,
+                attachments: dataMessage.attachments
             };
             dispatchEvent(ev);
         },
@@ -803,18 +1025,21 @@
             await callMgr.peerHeartbeat(this.get('source'), this.get('sourceDevice'), exchange.data);
         },
 
-        _handleCloseSessionControl: function(exchange, dataMessage) {
-            const data = exchange.data;
-            if (data) {
-                const addr = `${this.get('source')}.${this.get('sourceDevice')}`;
-                if (data.retransmit) {
-                    logger.warn("Legacy retransmit property");
-                    schedRetransmit(addr, data.retransmit);
-                } else if (data.retransmits) {
-                    for (const x of data.retransmits) {
-                        schedRetransmit(addr, x);
-                    }
-                }
+        _handleCloseSessionControl: async function(exchange, dataMessage) {
+            const data = exchange.data || {};
+            const addr = `${this.get('source')}.${this.get('sourceDevice')}`;
+            let retransmits = data.retransmits || [];
+            if (data.retransmit) {
+                logger.warn("Legacy retransmit property");
+                retransmits = [data.retransmit];
+            }
+            for (const x of retransmits) {
+                schedRetransmit(addr, x);
+            }
+            const store = F.foundation.relayStore;
+            await store.noteSessionClosed(addr, 'incoming', 'reset by peer');
+            if (retransmits.length) {
+                await store.noteRetransmitRequest(addr, 'incoming', retransmits);
             }
         },
 
@@ -854,6 +1079,22 @@
             thread.trigger('pendingMessage', this.get('source'));
         },
 
+        _handleTypingControl: async function(exchange, dataMessage) {
+            if (this.isSelfSource()) {
+                logger.warn("typing control sent to self by device:", this.get('sourceDevice'));
+                return;
+            }
+            this._stopIfOlderThan(30 * 1000);
+            if (await F.state.get('disableTypingIndicators')) {
+                return;
+            }
+            const thread = await this.getThread(exchange.threadId);
+            if (!thread || thread.get('blocked')) {
+                return;
+            }
+            thread.setTyping(this.get('source'), !!exchange.data.typing);
+        },
+
         _handleBeaconControl: async function(exchange, dataMessage) {
             logger.info("Received beacon:", exchange.data);
             const thread = await this.getThread(exchange.threadId, {includeArchived: true});
@@ -897,6 +1138,31 @@
             }
         },
 
+        _handleMessageRecallControl: async function(exchange, dataMessage) {
+            const thread = await this.getThread(exchange.threadId, {includeArchived: true});
+            const message = thread && await thread.getMessage(exchange.data.messageId);
+            if (!message) {
+                logger.info('Holding recall for message not yet received:', exchange.data.messageId);
+                await F.enqueueRecall({
+                    id: exchange.data.messageId,
+                    sender: this.get('source'),
+                    timestamp: this.get('timestamp')
+                });
+                return;
+            }
+            if (message.get('sender') !== this.get('source')) {
+                F.util.reportWarning("Dropping recall from non-author", {
+                    messageId: exchange.data.messageId,
+                    source: this.get('source')
+                });
+                return;
+            }
+            await thread.applyRecall(message, {
+                sender: this.get('source'),
+                timestamp: this.get('timestamp')
+            });
+        },
+
         markRead: async function(read, options) {
             options = options || {};
             if (this.get('read')) {
@@ -1017,6 +1283,187 @@
             return attachment.data;
         },
 
+        recall: async function(recalled) {
+            /* Replace this message with a tombstone.  The body, edit history and
+             * attachment data are purged so only the envelope remains. */
+            if (this.get('recalled')) {
+                return false;
+            }
+            await this.save({
+                plain: undefined,
+                safe_html: undefined,
+                mentions: undefined,
+                actions: undefined,
+                revisions: undefined,
+                poll: undefined,
+                pollVotes: undefined,
+                pollTally: undefined,
+                location: undefined,
+                attachments: [],
+                recalled
+            });
+            if (F.notifications) {
+                F.notifications.remove(this.id);
+            }
+            return true;
+        },
+
+        addRevision: async function(edit) {
+            /* Apply the body of an edit message to this message while keeping the
+             * prior bodies in `revisions` (oldest first). */
+            F.assert(edit.get('messageRef') === this.id);
+            const revisions = Array.from(this.get('revisions') || []);
+            if (this.get('editId') === edit.id || revisions.some(x => x.editId === edit.id)) {
+                logger.debug("Skipping duplicate edit:", edit.id);
+                return;
+            }
+            const revision = {
+                editId: edit.id,
+                plain: edit.get('plain'),
+                safe_html: edit.get('safe_html'),
+                timestamp: edit.get('timestamp')
+            };
+            if (revision.timestamp < (this.get('edited') || 0)) {
+                // Out of order delivery; only record it as history.
+                revisions.push(revision);
+                revisions.sort((a, b) => a.timestamp - b.timestamp);
+                await this.save({revisions}, {skipSearchIndexes: true});
+                return;
+            }
+            revisions.push({
+                editId: this.get('editId'),
+                plain: this.get('plain'),
+                safe_html: this.get('safe_html'),
+                timestamp: this.get('edited') || this.get('timestamp')
+            });
+            await this.save({
+                plain: revision.plain,
+                safe_html: revision.safe_html,
+                editId: revision.editId,
+                edited: revision.timestamp,
+                revisions
+            });
+        },
+
+        getReactions: function(userId) {
+            const reactions = this.get('reactions') || {};
+            return reactions[userId] ? reactions[userId].emojis : [];
+        },
+
+        setReactions: async function(userId, emojis, timestamp) {
+            /* Replace the full set of emoji a user has reacted with.  Empty sets are
+             * kept so late arriving reactions can't resurrect removed ones. */
+            const reactions = Object.assign({}, this.get('reactions'));
+            const current = reactions[userId];
+            if (current && current.timestamp >= timestamp) {
+                logger.debug("Skipping stale reaction from:", userId);
+                return;
+            }
+            reactions[userId] = {
+                emojis: Array.from(new Set(emojis)),
+                timestamp
+            };
+            await this.save({reactions}, {skipSearchIndexes: true});
+        },
+
+        isPollClosed: function(when) {
+            /* A poll is closed once its creator closes it or its close date passes. */
+            const poll = this.get('poll');
+            const closed = this.get('pollClosed');
+            when = when || Date.now();
+            return !!((closed && when >= closed) || (poll && poll.closes && when >= poll.closes));
+        },
+
+        setPollVote: async function(userId, choices, timestamp) {
+            /* Replace a user's vote on this poll.  Only the latest vote from each
+             * user counts and votes cast after the poll closed are ignored. */
+            const poll = this.get('poll');
+            if (!poll) {
+                throw new TypeError("Message is not a poll");
+            }
+            if (this.isPollClosed(timestamp)) {
+                logger.warn("Dropping vote for closed poll:", this.id);
+                return false;
+            }
+            choices = Array.from(new Set(choices)).filter(x =>
+                Number.isInteger(x) && x >= 0 && x < poll.options.length);
+            if (!poll.multiple && choices.length > 1) {
+                logger.warn("Dropping multiple choice vote for single choice poll:", this.id);
+                return false;
+            }
+            const pollVotes = Object.assign({}, this.get('pollVotes'));
+            const current = pollVotes[userId];
+            if (current && current.timestamp >= timestamp) {
+                logger.debug("Skipping stale poll vote from:", userId);
+                return false;
+            }
+            pollVotes[userId] = {choices, timestamp};
+            await this.save({pollVotes}, {skipSearchIndexes: true});
+            return true;
+        },
+
+        closePoll: async function(timestamp) {
+            if (this.get('pollClosed') && this.get('pollClosed') <= timestamp) {
+                return;
+            }
+            // Drop any votes that arrived before the close but were cast after it.
+            const pollVotes = {};
+            for (const [userId, x] of Object.entries(this.get('pollVotes') || {})) {
+                if (x.timestamp < timestamp) {
+                    pollVotes[userId] = x;
+                }
+            }
+            await this.save({pollClosed: timestamp, pollVotes}, {skipSearchIndexes: true});
+        },
+
+        getPollTally: function() {
+            /* Vote counts per option from the votes we hold. */
+            const poll = this.get('poll');
+            const votes = Object.values(this.get('pollVotes') || {}).filter(x => x.choices.length);
+            return {
+                counts: poll.options.map((x, i) => votes.filter(v => v.choices.indexOf(i) !== -1).length),
+                voterCount: votes.length
+            };
+        },
+
+        setPollTally: async function(tally, timestamp) {
+            /* Store the counts the creator published for an anonymous poll. */
+            const current = this.get('pollTally');
+            if (current && current.timestamp >= timestamp) {
+                logger.debug("Skipping stale poll tally:", this.id);
+                return;
+            }
+            const options = this.get('poll').options;
+            await this.save({
+                pollTally: {
+                    counts: options.map((x, i) => Math.max(0, Number(tally.counts[i]) || 0)),
+                    voterCount: Math.max(0, tally.voterCount),
+                    timestamp
+                }
+            }, {skipSearchIndexes: true});
+        },
+
+        getPollVote: function(userId) {
+            const pollVotes = this.get('pollVotes') || {};
+            return pollVotes[userId] ? pollVotes[userId].choices : [];
+        },
+
+        setLocation: async function(location, timestamp) {
+            /* Apply a live location update; out of order updates are ignored. */
+            if ((this.get('locationUpdated') || 0) >= timestamp) {
+                logger.debug("Skipping stale location update:", this.id);
+                return;
+            }
+            await this.save({location, locationUpdated: timestamp}, {skipSearchIndexes: true});
+        },
+
+        markRepliesRead: async function() {
+            if (this.get('unreadReplies')) {
+                await this.save({unreadReplies: 0}, {skipSearchIndexes: true});
+            }
+            await Promise.all(this.replies.filter(x => x.isUnread()).map(x => x.markRead()));
+        },
+
         addVote: async function(value) {
             if (typeof value !== 'number') {
                 throw new TypeError("Vote must be number");
@@ -1027,6 +1474,8 @@
     });
 
 
+    F.searchIndex.register(F.Message);
+
     F.MessageCollection = F.SearchableCollection.extend({
         model: F.Message,
         database: F.Database,
@@ -1201,6 +1650,11 @@
         model: F.Message,
         database: F.Database,
         storeName: 'messages',
+        pageSize: 25,
+
+        comparator: function(a, b) {
+            return b.get('timestamp') - a.get('timestamp');
+        },
 
         initialize: function(models, options) {
             this.message = options.message;
@@ -1214,6 +1668,43 @@
                     only: this.message.id
                 }
             });
+        },
+
+        fetchPage: async function(limit) {
+            F.assert(this.message.id);
+            if (typeof limit !== 'number') {
+                limit = this.pageSize;
+            }
+            let upper;
+            let excludeUpper;
+            if (this.length === 0) {
+                upper = Infinity;
+            } else {
+                upper = this.at(this.length - 1).get('timestamp');
+                excludeUpper = true;
+            }
+            await this.fetch({
+                remove: false,
+                limit,
+                index: {
+                    name: 'messageRef-timestamp',
+                    lower: [this.message.id],
+                    upper: [this.message.id, upper],
+                    excludeUpper,
+                    order: 'desc'
+                }
+            });
+        },
+
+        totalCount: async function() {
+            F.assert(this.message.id);
+            return await F.util.dbStoreCount(F.Database.id, this.storeName, {
+                index: 'messageRef-timestamp',
+                bound: {
+                    lower: [this.message.id],
+                    upper: [this.message.id, Infinity]
+                }
+            });
         }
     });
 
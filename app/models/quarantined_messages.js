@@ -1,14 +1,41 @@
 // vim: ts=4:sw=4:expandtab
-/* global Backbone */
+/* global Backbone relay */
 
 (function() {
     'use strict';
 
     self.F = self.F || {};
 
+    const logger = F.log.getLogger('quarantine');
+
     F.QuarantinedMessage = Backbone.Model.extend({
         database: F.Database,
-        storeName: 'quarantinedMessages'
+        storeName: 'quarantinedMessages',
+
+        release: async function() {
+            /* Process the message now that its sender's new identity is trusted.  It is
+             * removed from quarantine even if processing fails. */
+            const sender = await F.atlas.getContact(this.get('source'));
+            if (sender && sender.get('proposedIdentityKey')) {
+                // Decrypting installs the new key, which must go through trustIdentity.
+                throw new TypeError("Sender's new identity must be trusted first");
+            }
+            const msgRecv = F.foundation.getMessageReceiver();
+            await msgRecv.idle;
+            const env = relay.protobuf.Envelope.decode(this.get('protobuf'));
+            env.timestamp = this.get('timestamp');  // Must used normalized timestamp!
+            try {
+                await msgRecv.handleEnvelope(env, /*reentrant*/ false, /*forceAccept*/ true);
+            } catch(e) {
+                logger.error('Unquarantine Message Error:', e);
+            }
+            await this.destroy();
+        },
+
+        hold: async function() {
+            /* Held messages are skipped when all of a sender's messages are released. */
+            await this.save({held: Date.now()});
+        }
     });
 
     F.QuarantinedMessageCollection = Backbone.Collection.extend({
@@ -18,6 +45,15 @@
 
         comparator: function(a, b) {
             return a.get('timestamp') - b.get('timestamp');
+        },
+
+        fetchBySource: async function(source) {
+            await this.fetch({
+                index: {
+                    name: 'source',
+                    only: source
+                }
+            });
         }
     });
 })();
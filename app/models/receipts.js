@@ -68,6 +68,66 @@
         }
     };
 
+    F.PendingRecall = Backbone.Model.extend({
+        database: F.Database,
+        storeName: 'pendingRecalls'
+    });
+
+    F.enqueueRecall = async function(attrs) {
+        /* Recalls can beat the message they reference; hold them by message id. */
+        await (new F.PendingRecall(attrs)).save();
+    };
+
+    F.drainRecall = async function(message) {
+        const recall = new F.PendingRecall({id: message.id});
+        try {
+            await recall.fetch();
+        } catch(e) {
+            if (e instanceof ReferenceError) {
+                return;
+            } else {
+                throw e;
+            }
+        }
+        await recall.destroy();
+        return recall;
+    };
+
+    F.PendingAmendment = Backbone.Model.extend({
+        database: F.Database,
+        storeName: 'pendingAmendments'
+    });
+
+    F.PendingAmendmentCollection = Backbone.Collection.extend({
+        model: F.PendingAmendment,
+        database: F.Database,
+        storeName: 'pendingAmendments'
+    });
+
+    F.enqueueAmendment = async function(message, exchange) {
+        /* Edits, reactions and such can also beat their target; keep the ephemeral
+         * message so it can be applied when the target arrives. */
+        await (new F.PendingAmendment({
+            id: message.id,
+            messageRef: message.get('messageRef'),
+            attrs: message.attributes,
+            data: exchange.data
+        })).save();
+    };
+
+    F.drainAmendments = async function(message) {
+        const pending = new F.PendingAmendmentCollection();
+        await pending.fetch({
+            index: {
+                name: 'messageRef',
+                only: message.id
+            }
+        });
+        const amendments = Array.from(pending.models);
+        await Promise.all(amendments.map(x => x.destroy()));
+        return _.sortBy(amendments, x => x.get('attrs').timestamp);
+    };
+
     F.drainReadReceipts = async function(message) {
         const sent = message.get('sent');
         await readQueue.fetchBySent(sent);
@@ -0,0 +1,211 @@
+// vim: ts=4:sw=4:expandtab
+/* global Backbone moment */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+    const ns = F.scheduled = {};
+
+    const logger = F.log.getLogger('scheduled');
+
+    const maxTimerDelay = 0x7fffffff;  // setTimeout overflows beyond this.
+    const lateThreshold = 60 * 1000;
+
+    let _timer;
+    let _started;
+
+
+    F.ScheduledMessage = Backbone.Model.extend({
+        database: F.Database,
+        storeName: 'scheduledMessages',
+
+        isDue: function() {
+            return !this.isStalled() && this.get('sendAt') <= Date.now();
+        },
+
+        isStalled: function() {
+            /* Failed or interrupted sends wait for the user to retry them. */
+            return !!(this.get('failed') || this.get('sending'));
+        },
+
+        send: async function() {
+            /* We stay in the outbox, marked as sending, until the message is out.  An
+             * interrupted send is never repeated on its own since it may have been
+             * delivered already. */
+            const thread = await F.foundation.allThreads.getAndRestore(this.get('threadId'));
+            if (!thread) {
+                logger.warn("Dropping scheduled message for missing thread:", this.get('threadId'));
+                await this.destroy();
+                return;
+            }
+            if (thread.get('left')) {
+                thread.addNotice({
+                    title: 'Scheduled Message Not Sent',
+                    detail: 'You are no longer a member of this thread.',
+                    className: 'warning',
+                    icon: 'clock'
+                });
+                await thread.save();
+                await this.destroy();
+                return;
+            }
+            await this.save({sending: true});
+            try {
+                await thread.sendMessage(this.get('plain'), this.get('safe_html'),
+                                         this.get('attachments'), {mentions: this.get('mentions')});
+            } catch(e) {
+                await this.markFailed(thread, e.message);
+                throw e;
+            }
+            await this.destroy();
+            const late = Date.now() - this.get('sendAt');
+            if (late > lateThreshold) {
+                thread.addNotice({
+                    title: 'Scheduled Message Sent Late',
+                    detail: `It was scheduled for ${moment(this.get('sendAt')).calendar()}`,
+                    icon: 'clock'
+                });
+                await thread.save();
+            }
+            thread.trigger('scheduled', thread);
+        },
+
+        markFailed: async function(thread, reason) {
+            await this.save({sending: false, failed: true, error: reason});
+            thread.addNotice({
+                title: 'Scheduled Message Not Sent',
+                detail: `${_.escape(reason)}<br/>It is still in your scheduled messages so you can retry it.`,
+                className: 'warning',
+                icon: 'clock'
+            });
+            await thread.save();
+            thread.trigger('scheduled', thread);
+        },
+
+        retry: async function() {
+            await this.save({sending: false, failed: false, error: undefined});
+            await ns.refresh();
+        }
+    });
+
+
+    F.ScheduledMessageCollection = Backbone.Collection.extend({
+        model: F.ScheduledMessage,
+        database: F.Database,
+        storeName: 'scheduledMessages',
+
+        comparator: function(a, b) {
+            return a.get('sendAt') - b.get('sendAt');
+        },
+
+        fetchByThread: async function(threadId) {
+            await this.fetch({
+                index: {
+                    name: 'threadId-sendAt',
+                    lower: [threadId],
+                    upper: [threadId, Infinity]
+                }
+            });
+        }
+    });
+
+
+    ns.parseWhen = function(text) {
+        /* Parse loose time specs such as "30m", "2h", "1d", "9am", "17:30" or
+         * "tomorrow 9:15pm".  Clock times that have passed today roll over to
+         * tomorrow.  Returns a timestamp or undefined if the text is not understood. */
+        text = text.trim().toLowerCase();
+        const relative = text.match(/^(\d+)\s*(m|min|mins|h|hr|hrs|d|days?)$/);
+        if (relative) {
+            const unit = {m: 'minutes', h: 'hours', d: 'days'}[relative[2][0]];
+            return moment().add(Number(relative[1]), unit).valueOf();
+        }
+        const clock = text.match(/^(tomorrow\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+        if (!clock) {
+            return;
+        }
+        let hour = Number(clock[2]);
+        const minute = Number(clock[3] || 0);
+        if (minute > 59 || (clock[4] ? hour < 1 || hour > 12 : hour > 23)) {
+            return;
+        }
+        if (clock[4] === 'pm' && hour < 12) {
+            hour += 12;
+        } else if (clock[4] === 'am' && hour === 12) {
+            hour = 0;
+        }
+        const when = moment().startOf('minute').hours(hour).minutes(minute);
+        if (clock[1] || when.isBefore(moment())) {
+            when.add(1, 'day');
+        }
+        return when.valueOf();
+    };
+
+    ns.schedule = async function(thread, sendAt, plain, safe_html, attachments, mentions) {
+        const scheduled = new F.ScheduledMessage({
+            id: F.util.uuid4(),
+            threadId: thread.id,
+            created: Date.now(),
+            sendAt,
+            plain,
+            safe_html,
+            attachments: attachments || [],
+            mentions
+        });
+        await scheduled.save();
+        thread.trigger('scheduled', thread);
+        await ns.refresh();
+        return scheduled;
+    };
+
+    ns.refresh = async function() {
+        /* Send anything that is due and arm a timer for the next pending item. */
+        if (!_started) {
+            return;
+        }
+        await F.queueAsync('scheduled-messages-refresh', async () => {
+            clearTimeout(_timer);
+            const outbox = new F.ScheduledMessageCollection();
+            await outbox.fetch();
+            for (const x of outbox.filter(x => !x.isStalled())) {
+                if (!x.isDue()) {
+                    break;
+                }
+                try {
+                    await x.send();
+                } catch(e) {
+                    logger.error("Failed to send scheduled message:", e);
+                }
+            }
+            // Sent messages have left the outbox; stalled ones wait for a retry.
+            const next = outbox.find(x => !x.isStalled());
+            if (next) {
+                const delay = Math.min(Math.max(next.get('sendAt') - Date.now(), 0), maxTimerDelay);
+                _timer = setTimeout(ns.refresh, delay);
+            }
+        });
+    };
+
+    async function recoverInterrupted() {
+        /* Sends cut short by a reload or crash might have gone out, so we ask the
+         * user instead of sending them again. */
+        const outbox = new F.ScheduledMessageCollection();
+        await outbox.fetch();
+        for (const x of outbox.filter(x => x.get('sending'))) {
+            const thread = await F.foundation.allThreads.getAndRestore(x.get('threadId'));
+            if (thread) {
+                await x.markFailed(thread, 'Sending was interrupted and it may have been delivered already.');
+            } else {
+                await x.destroy();
+            }
+        }
+    }
+
+    ns.start = async function() {
+        /* Called at startup; anything that came due while we were closed goes out now. */
+        _started = true;
+        await recoverInterrupted();
+        await ns.refresh();
+    };
+})();
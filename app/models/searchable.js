@@ -5,15 +5,352 @@
     'use strict';
 
     self.F = self.F || {};
+    const ns = F.searchIndex = {};
+
+    const logger = F.log.getLogger('search');
+
+    /* Bump to force a full reindex when tokenizing or the index layout changes. */
+    const indexVersion = 1;
+    const batchSize = 50;
+    const drainDelay = 2000;
+    const compactInterval = 86400 * 1000;
+    const recencyScale = 30 * 86400 * 1000;
+    const prefixWeight = 0.5;
+    const minPrefixLength = 3;  // Shorter tokens only match whole terms.
+    const maxPrefixPostings = 2000;
+    const maxTermLength = 64;
+    const termSplitRe = /[\s!-/:-@[-`{-~]+/;
+
+    const _models = new Map();
+    let _dbPromise;
+    let _started;
+    let _drainTimeout;
+
+
+    function idbRequest(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = ev => resolve(ev.target.result);
+            req.onerror = ev => reject(ev.target.error);
+        });
+    }
+
+    function idbTransaction(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = ev => reject(ev.target.error);
+            tx.onabort = ev => reject(ev.target.error);
+        });
+    }
+
+    function storeRange(storeName) {
+        // Arrays sort after strings, so this spans every key starting with `storeName`.
+        return IDBKeyRange.bound([storeName], [storeName, []]);
+    }
+
+    async function getDB() {
+        /* Share one connection; concurrent callers wait on the same open. */
+        if (_dbPromise) {
+            const db = await _dbPromise;
+            if (db.name === F.Database.id) {
+                return db;
+            }
+            db.close();
+        }
+        _dbPromise = idbRequest(indexedDB.open(F.Database.id)).then(db => {
+            db.onversionchange = () => {
+                db.close();
+                _dbPromise = null;
+            };
+            db.onclose = () => _dbPromise = null;
+            return db;
+        }, e => {
+            _dbPromise = null;
+            throw e;
+        });
+        return await _dbPromise;
+    }
+
+    function getPostings(terms, storeName, token) {
+        /* Postings for the exact term plus a bounded number of longer terms it is a
+         * prefix of, so short tokens can't pull in huge slices of the index. */
+        const key = [storeName, token.index, token.term];
+        const exact = idbRequest(terms.getAll(IDBKeyRange.bound(key, key.concat([[]]))));
+        if (token.term.length < minPrefixLength) {
+            return exact;
+        }
+        const prefixed = idbRequest(terms.getAll(IDBKeyRange.bound(
+            [storeName, token.index, token.term + '\u0000'],
+            [storeName, token.index, token.term + '\uffff']), maxPrefixPostings));
+        return Promise.all([exact, prefixed]).then(([a, b]) => a.concat(b));
+    }
+
+    async function queueRecords(storeName, ids) {
+        const db = await getDB();
+        const tx = db.transaction('searchQueue', 'readwrite');
+        const queue = tx.objectStore('searchQueue');
+        const queued = Date.now();
+        for (const id of ids) {
+            queue.put({store: storeName, id, queued, nonce: Math.random()});
+        }
+        await idbTransaction(tx);
+    }
+
+    async function buildPostings(Model, record) {
+        const proto = Model.prototype;
+        const model = new Model(record);
+        const time = model.get(proto.searchTimestamp) || 0;
+        const postings = [];
+        for (const x of proto.searchIndexes) {
+            const value = typeof x.attr === 'function' ? await x.attr(model) : model.get(x.attr);
+            const counts = new Map();
+            for (const term of ns.tokenize(value)) {
+                counts.set(term, (counts.get(term) || 0) + 1);
+            }
+            for (const [term, tf] of counts) {
+                postings.push({store: proto.storeName, index: x.index, term, id: model.id, tf, time});
+            }
+        }
+        return postings;
+    }
+
+    async function commitPostings(updates) {
+        /* Replace the postings of each record unless it was queued again while we
+         * were building them, in which case the next pass will handle it. */
+        const db = await getDB();
+        const tx = db.transaction(['searchQueue', 'searchTerms'], 'readwrite');
+        const queue = tx.objectStore('searchQueue');
+        const terms = tx.objectStore('searchTerms');
+        for (const {entry, postings} of updates) {
+            const key = [entry.store, entry.id];
+            queue.get(key).onsuccess = ev => {
+                const current = ev.target.result;
+                if (!current || current.nonce !== entry.nonce) {
+                    return;
+                }
+                queue.delete(key);
+                if (!postings) {
+                    return;
+                }
+                terms.index('store-id').getAllKeys(IDBKeyRange.only(key)).onsuccess = ev => {
+                    for (const pk of ev.target.result) {
+                        terms.delete(pk);
+                    }
+                    for (const x of postings) {
+                        terms.put(x);
+                    }
+                };
+            };
+        }
+        await idbTransaction(tx);
+    }
+
+    async function drain(onProgress) {
+        const db = await getDB();
+        const total = await idbRequest(db.transaction('searchQueue').objectStore('searchQueue').count());
+        let done = 0;
+        while (true) {
+            const entries = await idbRequest(db.transaction('searchQueue').objectStore('searchQueue')
+                                               .getAll(null, batchSize));
+            if (!entries.length) {
+                break;
+            }
+            const updates = [];
+            for (const entry of entries) {
+                const Model = _models.get(entry.store);
+                let postings = null;
+                if (!Model) {
+                    logger.warn("Dropping search index entry for unregistered store:", entry.store);
+                } else {
+                    try {
+                        const record = await idbRequest(db.transaction(entry.store)
+                                                          .objectStore(entry.store).get(entry.id));
+                        // A missing record was removed, so only its postings need removing.
+                        postings = record ? await buildPostings(Model, record) : [];
+                    } catch(e) {
+                        logger.error("Failed to index record:", entry.store, entry.id, e);
+                    }
+                }
+                updates.push({entry, postings});
+            }
+            await commitPostings(updates);
+            done += entries.length;
+            if (onProgress) {
+                onProgress(Math.min(done, total), Math.max(done, total));
+            }
+            await F.util.idle();
+        }
+        return done;
+    }
+
+    function scheduleDrain() {
+        if (_drainTimeout) {
+            return;
+        }
+        _drainTimeout = setTimeout(async () => {
+            _drainTimeout = null;
+            try {
+                await ns.drain();
+            } catch(e) {
+                logger.error("Search index update failed:", e);
+            }
+        }, drainDelay);
+    }
+
+
+    ns.tokenize = function(text) {
+        if (!text) {
+            return [];
+        }
+        return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+                   .split(termSplitRe).filter(x => x.length > 1 && x.length <= maxTermLength);
+    };
+
+    ns.register = function(Model) {
+        /* Models must be registered so the background indexer can build them from
+         * their stored records. */
+        _models.set(Model.prototype.storeName, Model);
+    };
+
+    ns.enqueue = async function(model) {
+        if (F.managedConfig || !model.id) {
+            return;
+        }
+        await queueRecords(model.storeName, [model.id]);
+        if (_started) {
+            scheduleDrain();
+        }
+    };
+
+    ns.drain = async function(onProgress) {
+        return await F.queueAsync('search-index-drain', () => drain(onProgress));
+    };
+
+    ns.pendingCount = async function() {
+        const db = await getDB();
+        return await idbRequest(db.transaction('searchQueue').objectStore('searchQueue').count());
+    };
+
+    ns.reindex = async function(storeName, onProgress) {
+        /* Clear the index for a store and rebuild it from every record. */
+        const db = await getDB();
+        const ids = await idbRequest(db.transaction(storeName).objectStore(storeName).getAllKeys());
+        const tx = db.transaction('searchTerms', 'readwrite');
+        tx.objectStore('searchTerms').delete(storeRange(storeName));
+        await idbTransaction(tx);
+        await queueRecords(storeName, ids);
+        logger.info(`Reindexing ${ids.length} records from ${storeName}`);
+        await ns.drain(onProgress);
+    };
+
+    ns.compact = async function(storeName) {
+        /* Remove postings for records that are gone but were never dequeued, such as
+         * messages that expired or were purged while indexing was not running. */
+        const db = await getDB();
+        const indexed = await new Promise((resolve, reject) => {
+            const ids = [];
+            const req = db.transaction('searchTerms').objectStore('searchTerms').index('store-id')
+                          .openKeyCursor(storeRange(storeName), 'nextunique');
+            req.onsuccess = ev => {
+                const cursor = ev.target.result;
+                if (cursor) {
+                    ids.push(cursor.key[1]);
+                    cursor.continue();
+                } else {
+                    resolve(ids);
+                }
+            };
+            req.onerror = ev => reject(ev.target.error);
+        });
+        const existing = new Set(await idbRequest(db.transaction(storeName).objectStore(storeName)
+                                                    .getAllKeys()));
+        const orphans = indexed.filter(x => !existing.has(x));
+        if (orphans.length) {
+            logger.info(`Compacting search index of ${orphans.length} removed records`);
+            await queueRecords(storeName, orphans);
+            await ns.drain();
+        }
+        return orphans.length;
+    };
+
+    ns.query = async function(storeName, tokens) {
+        /* Return the ids of records matching every `{index, term}` token, best first.
+         * Tokens also match longer terms they are a prefix of, at a lower weight and
+         * up to `maxPrefixPostings`.
+         * The score is a saturated term frequency weighted by rarity, boosted for
+         * recent records. */
+        const db = await getDB();
+        const tx = db.transaction(['searchTerms', storeName]);
+        const terms = tx.objectStore('searchTerms');
+        const [total, ...results] = await Promise.all([
+            idbRequest(tx.objectStore(storeName).count())
+        ].concat(tokens.map(x => getPostings(terms, storeName, x))));
+        let matches;
+        for (const [i, postings] of results.entries()) {
+            const docs = new Map();
+            for (const x of postings) {
+                const weight = (x.term === tokens[i].term ? 1 : prefixWeight) * x.tf / (x.tf + 1);
+                const doc = docs.get(x.id);
+                if (!doc || doc.weight < weight) {
+                    docs.set(x.id, {weight, time: x.time});
+                }
+            }
+            const idf = Math.log(1 + total / (docs.size || 1));
+            if (!matches) {
+                matches = new Map();
+                for (const [id, doc] of docs) {
+                    matches.set(id, {score: doc.weight * idf, time: doc.time});
+                }
+            } else {
+                for (const [id, match] of matches) {
+                    const doc = docs.get(id);
+                    if (!doc) {
+                        matches.delete(id);
+                    } else {
+                        match.score += doc.weight * idf;
+                    }
+                }
+            }
+        }
+        const now = Date.now();
+        return Array.from(matches || [], ([id, x]) => ({
+            id,
+            score: x.score * (1 + Math.exp(-Math.max(0, now - x.time) / recencyScale))
+        })).sort((a, b) => b.score - a.score).map(x => x.id);
+    };
+
+    ns.start = async function() {
+        /* Index records queued by any context (including the service worker) and
+         * keep up with new ones.  Run in one context only. */
+        if (_started || F.managedConfig) {
+            return;
+        }
+        _started = true;
+        const stores = Array.from(_models.keys());
+        if ((await F.state.get('searchIndexVersion')) !== indexVersion) {
+            for (const storeName of stores) {
+                await ns.reindex(storeName);
+            }
+            await F.state.put('searchIndexVersion', indexVersion);
+        } else {
+            await ns.drain();
+        }
+        if (Date.now() - ((await F.state.get('searchIndexCompacted')) || 0) > compactInterval) {
+            for (const storeName of stores) {
+                await ns.compact(storeName);
+            }
+            await F.state.put('searchIndexCompacted', Date.now());
+        }
+    };
+
 
     F.SearchableModel = Backbone.Model.extend({
         /*
          * searchIndexes: [{
-         *     length: 3,              // Letter length of ngram
          *     attr: 'someModelAttr',  // Model attribute or callback function to index.
-         *     index: 'trigrams',      // The indexeddb index name
-         *     column: 'trigrams'      // Where to store the index data on the model
+         *     index: 'body',          // The index name used in search criteria.
+         *     default: true           // Used for plain string criteria.
          * }],
+         * searchTimestamp: 'timestamp'  // Attribute used to rank recent records higher.
          */
 
         save: async function(keyOrObject, valueOrOptions, options) {
@@ -22,38 +359,19 @@
                 options = valueOrOptions;
             }
             options = options || {};
+            const result = await Backbone.Model.prototype.save.apply(this, arguments);
             if (!options.skipSearchIndexes && this.searchIndexes) {
-                for (const x of this.searchIndexes) {
-                    let attr;
-                    if (typeof x.attr === 'function') {
-                        attr = await x.attr(this);
-                    } else {
-                        attr = this.get(x.attr);
-                    }
-                    const ngrams = this.ngram(x.length, attr, /*forcePad*/ true);
-                    this.set(x.column, Array.from(ngrams), {silent: true});
-                }
+                await ns.enqueue(this);
             }
-            return Backbone.Model.prototype.save.apply(this, arguments);
+            return result;
         },
 
-        ngram: function(n, value, forcePad) {
-            if (!value) {
-                return new Set();
-            }
-            const pad = ' ';
-            if (forcePad) {
-                value = pad + value + pad;
+        destroy: async function() {
+            const result = await Backbone.Model.prototype.destroy.apply(this, arguments);
+            if (this.searchIndexes) {
+                await ns.enqueue(this);  // Drops its postings.
             }
-            value = value.toLowerCase().replace(/\s+/g, pad);
-            const ngrams = new Set();
-            for (let i = 0; i < value.length; i++) {
-                const ngram = value.substr(i, n);
-                if (ngram.length === n) {
-                    ngrams.add(ngram);
-                }
-            }
-            return ngrams;
+            return result;
         }
     });
 
@@ -62,6 +380,8 @@
         defaultSearchLimit: 20,
 
         searchFetch: async function(criteria, options) {
+            /* Fetch the records matching all the criteria, ranked by relevance.  Criteria
+             * is a string for the default index or an array of `{index, criteria}`. */
             if (F.managedConfig) {
                 console.error("Search not supported in managed  mode");
                 return this;
@@ -85,85 +405,72 @@
                     criteria
                 }];
             }
-            const db = await new Promise((resolve, reject) => {
-                const openReq = indexedDB.open(this.database.id);
-                openReq.onsuccess = ev => resolve(ev.target.result);
-                openReq.onerror = ev => reject(ev.target.error);
-            });
-            const tx = db.transaction(this.storeName);
-            const store = tx.objectStore(this.storeName);
-            let dataRequest;
-            const keyRequests = [];
+            const tokens = [];
             for (const cSpec of criteria) {
-                const sSpec = modelProto.searchIndexes.filter(x => x.index === cSpec.index)[0];
-                if (!sSpec) {
+                if (!modelProto.searchIndexes.some(x => x.index === cSpec.index)) {
                     throw TypeError("Invalid index specified in search criteria:", cSpec.index);
                 }
-                for (const key of modelProto.ngram(sSpec.length, cSpec.criteria)) {
-                    if (!dataRequest) {
-                        dataRequest = store.index(sSpec.index).getAll(key);
-                    } else {
-                        keyRequests.push(store.index(sSpec.index).getAllKeys(key));
-                    }
+                for (const term of new Set(ns.tokenize(cSpec.criteria))) {
+                    tokens.push({index: cSpec.index, term});
                 }
             }
-            if (!dataRequest) {
-                this.reset();
+            if (!tokens.length) {
+                /* Nothing to narrow the search with, so we must walk the store. */
+                this.reset(options.scan ? await this._scanRecords(options) : undefined);
                 return this;
             }
-            const matchCounts = new Map();
-            let remaining = keyRequests.length + 1;
-            let records;
-            await new Promise((resolve, reject) => {
-                dataRequest.onsuccess = ev => {
-                    records = ev.target.result;
-                    for (const record of records) {
-                        const pk = record.id;
-                        matchCounts.set(pk, (matchCounts.get(pk) || 0) + 1);
-                    }
-                    if (!--remaining) {
-                        resolve();
-                    }
-                };
-                dataRequest.onerror = ev => {
-                    reject(new Error(ev.target.errorCode));
-                };
-                for (const req of keyRequests) {
-                    req.onsuccess = ev => {
-                        for (const pk of ev.target.result) {
-                            matchCounts.set(pk, (matchCounts.get(pk) || 0) + 1);
-                        }
-                        if (!--remaining) {
-                            resolve();
-                        }
-                    };
-                    req.onerror = ev => {
-                        reject(new Error(ev.target.errorCode));
-                    };
-                }
-            });
-            const requiredCount = keyRequests.length + 1;
-            records = records.filter(x => matchCounts.get(x.id) >= requiredCount);
-            if (options.sorter) {
-                records.sort(options.sorter);
-            }
+            const ranked = await ns.query(this.storeName, tokens);
             const limit = options.limit || this.defaultSearchLimit;
-            if (options.filter) {
-                const filtered = [];
-                for (const r of records) {
-                    if (options.filter(r)) {
-                        filtered.push(r);
-                        if (limit && filtered.length === limit) {
+            const db = await getDB();
+            const records = [];
+            for (let i = 0; i < ranked.length && !(limit && records.length >= limit); i += batchSize) {
+                const store = db.transaction(this.storeName).objectStore(this.storeName);
+                const batch = await Promise.all(ranked.slice(i, i + batchSize).map(id =>
+                    idbRequest(store.get(id))));
+                for (const r of batch) {
+                    if (r && (!options.filter || options.filter(r))) {
+                        records.push(r);
+                        if (limit && records.length === limit) {
                             break;
                         }
                     }
                 }
-                records = filtered;
-            } else {
-                records = records.slice(0, limit);
             }
             this.reset(records.map(x => new this.model(x)));
             return this;
+        },
+
+        _scanRecords: async function(options) {
+            /* Walk the `options.scan` index in order, collecting records that pass the
+             * filter.  The filter must be synchronous to keep the transaction alive. */
+            const scan = options.scan;
+            const limit = options.limit || this.defaultSearchLimit;
+            const db = await getDB();
+            const store = db.transaction(this.storeName).objectStore(this.storeName);
+            const source = scan.index ? store.index(scan.index) : store;
+            const records = [];
+            await new Promise((resolve, reject) => {
+                const req = source.openCursor(scan.range, scan.direction);
+                req.onsuccess = ev => {
+                    const cursor = ev.target.result;
+                    if (!cursor) {
+                        resolve();
+                        return;
+                    }
+                    if (!options.filter || options.filter(cursor.value)) {
+                        records.push(new this.model(cursor.value));
+                        if (limit && records.length === limit) {
+                            resolve();
+                            return;
+                        }
+                    }
+                    cursor.continue();
+                };
+                req.onerror = ev => {
+                    reject(new Error(ev.target.errorCode));
+                };
+            });
+            return records;
         }
     });
 })();
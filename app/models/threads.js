@@ -8,6 +8,8 @@
 
     const logger = F.log.getLogger('models.threads');
 
+    const typingExpiration = 15000;  // Covers lost stop controls from remote clients.
+
     function tagExpressionWarningsToNotice(warnings) {
         /* Convert distribution warning objects to thread notices. */
         if (!warnings.length) {
@@ -202,6 +204,7 @@
                     from = 'You';
                     await this.triggerReadLevel(message.get('timestamp'));
                 } else {
+                    this.setTyping(message.get('sender'), false);
                     if (!message.get('read')) {
                         this.notify(message);
                         this.scheduleUnreadUpdate();
@@ -227,6 +230,10 @@
                     await refMsg.addVote(message.get('vote'));
                 } else {
                     refMsg.replies.add(message);
+                    if (message.get('incoming') && message.isUnread()) {
+                        const unreadReplies = (refMsg.get('unreadReplies') || 0) + 1;
+                        await refMsg.save({unreadReplies}, {skipSearchIndexes: true});
+                    }
                 }
             } else {
                 this.messages.add(message);
@@ -241,9 +248,14 @@
 
         _unreadUpdateCallback: async function() {
             await F.queueAsync(this.unreadLock, async () => {
-                const unreadCount = (await this.fetchUnread()).length;
-                if (unreadCount !== this.get('unreadCount')) {
-                    await this.save({unreadCount});
+                // Replies are counted separately so side discussions don't flood the
+                // unread count of the main conversation.
+                const unread = await this.fetchUnread();
+                const unreadReplyCount = unread.filter(x => x.get('messageRef')).length;
+                const unreadCount = unread.length - unreadReplyCount;
+                if (unreadCount !== this.get('unreadCount') ||
+                    unreadReplyCount !== this.get('unreadReplyCount')) {
+                    await this.save({unreadCount, unreadReplyCount});
                 }
             });
         },
@@ -315,11 +327,16 @@
                     name: x.name,
                     size: x.size,
                     type: x.type,
-                    mtime: x.mtime
+                    mtime: x.mtime,
+                    duration: x.duration,
+                    waveform: x.waveform
                 }));
             }
             data.mentions = message.get('mentions');
             data.vote = message.get('vote');
+            data.forwarded = message.get('forwarded');
+            data.poll = message.get('poll');
+            data.location = message.get('location');
             return [{
                 version: 1,
                 threadType: this.get('type'),
@@ -382,12 +399,16 @@
             attachments = attachments || [];
             return await F.queueAsync(this.sendLock, async () => {
                 const msg = await this.createMessage({
+                    type: attrs.type || 'content',
                     plain,
                     safe_html,
                     attachments,
                     messageRef: attrs.messageRef,
                     mentions: attrs.mentions,
                     vote: attrs.vote,
+                    forwarded: attrs.forwarded,
+                    poll: attrs.poll,
+                    location: attrs.location,
                 }, {ephemeral: options.ephemeral});
                 const exchange = this.createMessageExchange(msg, attrs.data);
                 let addrs;
@@ -398,6 +419,9 @@
                 } else {
                     addrs = msg.get('members');
                 }
+                if (options.addrs) {
+                    addrs = addrs.filter(x => options.addrs.indexOf(x) !== -1);
+                }
                 const payload = {
                     addrs,
                     threadId: exchange[0].threadId,
@@ -406,25 +430,353 @@
                     timestamp: msg.get('sent'),
                     expiration: msg.get('expiration')
                 };
-                if (msg.get('expiration')) {
+                if (msg.get('expiration') && !options.ephemeral) {
                     await msg.save({expirationStart: Date.now()});
                 }
-                if (F.openerRPC) {
-                    await F.openerRPC.invokeCommand('message-send', msg.id, payload, options);
-                } else {
-                    let outMsg;
+                if (F.trustPolicy && await F.trustPolicy.shouldHold(this, addrs)) {
+                    await this.holdSend(msg, payload, options, /*unsent*/ true);
+                    msg.held = true;
+                    return msg;
+                }
+                await this._sendPayload(msg, exchange, payload, options);
+                F.util.reportUsageEvent('Message', 'send');
+                return msg;
+            });
+        },
+
+        _sendPayload: async function(msg, exchange, payload, options) {
+            if (F.openerRPC) {
+                await F.openerRPC.invokeCommand('message-send', msg.id, payload, options);
+            } else {
+                // Lets a refused key change find the message it interrupted.
+                const untrack = F.trustPolicy ?
+                    F.trustPolicy.trackSend({thread: this, msg, payload, options}) : () => {};
+                let outMsg;
+                try {
+                    outMsg = await this.messageSender.send(payload);
+                } finally {
+                    untrack();
+                    if (options.monitors !== false) {
+                        this._sendMessageToMonitors(msg, exchange);
+                    }
+                }
+                if (!options.ephemeral) {
+                    msg.watchSend(outMsg);
+                }
+            }
+        },
+
+        holdSend: async function(msg, payload, options, unsent) {
+            /* Park an outgoing message until the changed identities of its recipients
+             * are approved.  Ephemeral messages aren't stored, so we keep a copy.  An
+             * `unsent` message hasn't gone out to anyone yet, so its local effects
+             * (edits, reactions, etc) wait for release too. */
+            logger.warn("Holding outgoing message for identity approval:", msg.id);
+            await this._queuePendingSend({
+                messageId: msg.id,
+                ephemeral: !!options.ephemeral,
+                unsent: !!unsent,
+                message: options.ephemeral ? msg.attributes : undefined,
+                payload: _.omit(payload, 'attachments')
+            });
+        },
+
+        _queuePendingSend: async function(entry) {
+            const pending = Array.from(this.get('pendingSends') || []);
+            const i = pending.findIndex(x => x.messageId === entry.messageId);
+            const releasing = this._releasing;
+            if (i !== -1 && releasing && releasing.messageId === entry.messageId) {
+                // Refused again while being released; only these recipients need a retry.
+                releasing.requeued = true;
+                pending[i] = entry;
+            } else if (i !== -1) {
+                // Refused by more than one recipient; a single retry covers them all.
+                const addrs = new Set(pending[i].payload.addrs.concat(entry.payload.addrs));
+                pending[i] = Object.assign({}, pending[i], entry, {
+                    unsent: pending[i].unsent && entry.unsent,
+                    payload: Object.assign({}, entry.payload, {addrs: Array.from(addrs)})
+                });
+            } else {
+                pending.push(entry);
+            }
+            await this.save({pendingSends: pending});
+        },
+
+        _updatePendingSend: async function(messageId, update) {
+            /* Replace a held entry with `update(entry)`, or remove it if that's null. */
+            const pending = Array.from(this.get('pendingSends') || []);
+            const i = pending.findIndex(x => x.messageId === messageId);
+            if (i === -1) {
+                return;
+            }
+            const entry = update(pending[i]);
+            if (entry) {
+                pending[i] = entry;
+            } else {
+                pending.splice(i, 1);
+            }
+            await this.save({pendingSends: pending.length ? pending : undefined});
+        },
+
+        releasePendingSends: async function() {
+            /* Send messages held by the strict trust policy.  Each entry stays saved
+             * until it is sent, so a release cut short by a closed tab can be run
+             * again.  Returns the sent and failed counts. */
+            return await F.queueAsync(this.sendLock, async () => {
+                const pending = this.get('pendingSends') || [];
+                let failed = 0;
+                let sent = 0;
+                for (const x of pending) {
+                    let msg;
+                    if (x.ephemeral) {
+                        msg = new F.Message(x.message);
+                    } else {
+                        msg = this.messages.get(x.messageId) || new F.Message({id: x.messageId});
+                        try {
+                            await msg.fetch();
+                        } catch(e) {
+                            logger.warn("Held message no longer exists:", x.messageId);
+                            await this._updatePendingSend(x.messageId, () => null);
+                            continue;
+                        }
+                    }
+                    const payload = Object.assign({attachments: msg.get('attachments') || []}, x.payload);
+                    const releasing = this._releasing = {messageId: x.messageId};
                     try {
-                        outMsg = await this.messageSender.send(payload);
+                        await this._sendPayload(msg, payload.body, payload, {
+                            ephemeral: x.ephemeral,
+                            monitors: x.unsent
+                        });
+                    } catch(e) {
+                        logger.error("Failed to send held message:", x.messageId, e);
+                        failed++;
+                        await this._updatePendingSend(x.messageId, entry =>
+                            Object.assign({}, entry, {failed: true}));
+                        continue;
                     } finally {
-                        this._sendMessageToMonitors(msg, exchange);
+                        this._releasing = null;
                     }
-                    if (!options.ephemeral) {
-                        msg.watchSend(outMsg);
+                    sent++;
+                    if (!releasing.requeued) {
+                        await this._updatePendingSend(x.messageId, () => null);
+                    }
+                    if (x.unsent && x.ephemeral) {
+                        await this._applyHeldMessage(msg, payload.body[0]);
                     }
                 }
-                F.util.reportUsageEvent('Message', 'send');
-                return msg;
+                return {sent, failed};
+            });
+        },
+
+        _applyHeldMessage: async function(msg, exchange) {
+            /* Apply a released edit, reaction, etc to our own copy of its target
+             * the same way we would if it came from one of our other devices. */
+            const refHandler = msg[msg.refHandlerMap[msg.get('type')]];
+            if (refHandler) {
+                await refHandler.call(msg, this, exchange);
+            }
+        },
+
+        discardPendingSends: async function() {
+            /* Drop held messages.  Stored messages that never went out are removed,
+             * ephemeral ones (edits, reactions, etc) simply never go out. */
+            await F.queueAsync(this.sendLock, async () => {
+                for (const x of this.get('pendingSends') || []) {
+                    if (x.unsent && !x.ephemeral) {
+                        const msg = this.messages.get(x.messageId) || new F.Message({id: x.messageId});
+                        await msg.destroy();
+                        this.messages.remove(x.messageId);
+                    }
+                }
+                await this.save({pendingSends: undefined});
+            });
+        },
+
+        editMessage: async function(msg, plain, safe_html) {
+            /* Replace the body of one of our own messages.  The edit is sent as an
+             * ephemeral message that references the original. */
+            F.assert(msg instanceof F.Message);
+            if (msg.get('sender') !== F.currentUser.id) {
+                throw new TypeError("Only our own messages can be edited");
+            }
+            const edit = await this.sendMessage(plain, safe_html, null, {
+                type: 'edit',
+                messageRef: msg.id,
+                mentions: msg.get('mentions')
+            }, {ephemeral: true});
+            if (!edit.held) {
+                await msg.addRevision(edit);
+            }
+            return edit;
+        },
+
+        sendReactions: async function(msg, emojis) {
+            /* Replace our set of emoji reactions to a message.  Reactions are folded
+             * into the target message and never stored as messages of their own. */
+            F.assert(msg instanceof F.Message);
+            const reaction = await this.sendMessage(null, null, null, {
+                type: 'reaction',
+                messageRef: msg.id,
+                data: {reactions: emojis}
+            }, {ephemeral: true});
+            if (!reaction.held) {
+                await msg.setReactions(F.currentUser.id, emojis, reaction.get('timestamp'));
+            }
+            return reaction;
+        },
+
+        sendPoll: async function(poll) {
+            /* Polls carry a plain text rendering for clients that can't display them. */
+            const plain = [`Poll: ${poll.question}`].concat(
+                poll.options.map((x, i) => `${i + 1}. ${x}`)).join('\n');
+            return await this.sendMessage(plain, null, null, {type: 'poll', poll});
+        },
+
+        sendPollVote: async function(msg, choices) {
+            /* Replace our vote on a poll.  Like reactions, votes are folded into the
+             * poll message itself.  Anonymous votes only go to the creator (and our
+             * own devices); everyone else sees the tallies the creator publishes. */
+            F.assert(msg instanceof F.Message);
+            if (msg.isPollClosed()) {
+                throw new TypeError("Poll is closed");
+            }
+            const creator = msg.get('sender');
+            const anonymous = msg.get('poll').anonymous;
+            const vote = await this.sendMessage(null, null, null, {
+                type: 'pollVote',
+                messageRef: msg.id,
+                data: {choices}
+            }, {
+                ephemeral: true,
+                addrs: anonymous ? Array.from(new Set([creator, F.currentUser.id])) : undefined
             });
+            if (!vote.held) {
+                await msg.setPollVote(F.currentUser.id, choices, vote.get('timestamp'));
+                if (anonymous && creator === F.currentUser.id) {
+                    await this.sendPollTally(msg);
+                }
+            }
+            return vote;
+        },
+
+        sendPollTally: async function(msg) {
+            /* Publish the vote counts of one of our anonymous polls without saying
+             * who voted for what. */
+            F.assert(msg instanceof F.Message);
+            const tally = msg.getPollTally();
+            return await this.sendMessage(null, null, null, {
+                type: 'pollTally',
+                messageRef: msg.id,
+                data: tally
+            }, {ephemeral: true});
+        },
+
+        closePoll: async function(msg) {
+            F.assert(msg instanceof F.Message);
+            if (msg.get('sender') !== F.currentUser.id) {
+                throw new TypeError("Only the creator can close a poll");
+            }
+            const close = await this.sendMessage(null, null, null, {
+                type: 'pollClose',
+                messageRef: msg.id
+            }, {ephemeral: true});
+            if (!close.held) {
+                await msg.closePoll(close.get('timestamp'));
+                if (msg.get('poll').anonymous) {
+                    await this.sendPollTally(msg);  // Closing may have dropped late votes.
+                }
+            }
+            return close;
+        },
+
+        sendLocation: async function(location) {
+            const coords = `${location.latitude},${location.longitude}`;
+            const plain = `Location: ${location.label || coords} ` +
+                          `https://www.google.com/maps/search/?api=1&query=${coords}`;
+            return await this.sendMessage(plain, null, null, {type: 'location', location});
+        },
+
+        updateLocation: async function(msg, location) {
+            /* Send a new position for one of our live location messages. */
+            F.assert(msg instanceof F.Message);
+            const update = await this.sendMessage(null, null, null, {
+                type: 'locationUpdate',
+                messageRef: msg.id,
+                data: {location}
+            }, {ephemeral: true});
+            if (!update.held) {
+                await msg.setLocation(location, update.get('timestamp'));
+            }
+            return update;
+        },
+
+        forwardMessage: async function(msg) {
+            /* Send a copy of a message from another thread with an attribution block.
+             * Attachments are decrypted first so they can be uploaded again here. */
+            const attachments = [];
+            for (const x of msg.get('attachments') || []) {
+                attachments.push({
+                    data: x.data || await msg.fetchAttachmentData(x.id),
+                    name: x.name,
+                    type: x.type,
+                    size: x.size,
+                    mtime: x.mtime,
+                    duration: x.duration,
+                    waveform: x.waveform
+                });
+            }
+            const original = msg.get('forwarded');
+            let forwarded;
+            if (original) {
+                forwarded = original;  // Pass the original attribution along, unverified flag and all.
+            } else {
+                const sender = await msg.getSender();
+                const sourceThread = await msg.getThread();
+                forwarded = {
+                    sender: msg.get('sender'),
+                    senderName: sender && sender.getName(),
+                    threadTitle: sourceThread && sourceThread.getNormalizedTitle(/*text*/ true),
+                    timestamp: msg.get('timestamp')
+                };
+            }
+            return await this.sendMessage(msg.get('plain'), msg.get('safe_html'), attachments,
+                                          {forwarded});
+        },
+
+        recallMessage: async function(msg) {
+            /* Retract one of our own messages from every recipient and our own
+             * linked devices. */
+            F.assert(msg instanceof F.Message);
+            if (msg.get('sender') !== F.currentUser.id) {
+                throw new TypeError("Only our own messages can be recalled");
+            }
+            await this.sendControl({
+                control: 'messageRecall',
+                messageId: msg.id
+            });
+            await this.applyRecall(msg, {
+                sender: F.currentUser.id,
+                timestamp: Date.now()
+            });
+        },
+
+        applyRecall: async function(msg, recalled) {
+            if (!await msg.recall(recalled)) {
+                return;
+            }
+            const sender = await F.atlas.getContact(recalled.sender);
+            this.addNotice({
+                title: 'Message Recalled',
+                detail: `Sent: ${F.tpl.help.calendar(msg.get('sent'))}<br/>` +
+                        `By: ${sender.getTagSlug({link: true})}`,
+                className: 'warning',
+                icon: 'undo'
+            });
+            if (msg.get('timestamp') === this.get('timestamp')) {
+                const from = recalled.sender === F.currentUser.id ? 'You' : sender.getInitials();
+                this.set('lastMessage', `${from}: ${msg.getNotificationText()}`);
+            }
+            await this.save();
         },
 
         resendMessage: async function(msg, options) {
@@ -639,6 +991,26 @@
             return !!ts && Date.now() - ts < (within || 60000);
         },
 
+        setTyping: function(userId, typing) {
+            /* Track the transient typing state of other members.  This is never
+             * saved and each entry expires by itself. */
+            if (!this._typing) {
+                this._typing = new Map();
+            }
+            clearTimeout(this._typing.get(userId));
+            if (typing) {
+                const timeout = setTimeout(() => this.setTyping(userId, false), typingExpiration);
+                this._typing.set(userId, timeout);
+            } else if (!this._typing.delete(userId)) {
+                return;
+            }
+            this.trigger('typing', this, this.getTyping());
+        },
+
+        getTyping: function() {
+            return this._typing ? Array.from(this._typing.keys()) : [];
+        },
+
         leave: async function(options) {
             await this.removeMember(F.currentUser.id);
             await this.save({left: true});
@@ -1,5 +1,5 @@
 // vim: ts=4:sw=4:expandtab
-/* global md5 mnemonic relay */
+/* global md5 mnemonic */
 
 (function () {
     'use strict';
@@ -11,6 +11,28 @@
     // This number must match all platforms/libs etc.
     const IDENT_PHRASE_HASH_ITERATIONS = 100000;
 
+    const VERIFY_CODE_PREFIX = 'forsta-verify:1:';
+
+
+    function identityMatch(a, b) {
+        return a instanceof Uint8Array &&
+            b instanceof Uint8Array &&
+            a.length === b.length &&
+            a.every((x, i) => x === b[i]);
+    }
+
+    function encodeKey(key) {
+        return btoa(String.fromCharCode.apply(null, key));
+    }
+
+    function decodeKey(encoded) {
+        try {
+            return Uint8Array.from(atob(encoded), x => x.charCodeAt(0));
+        } catch(e) {
+            return;
+        }
+    }
+
     F.User = F.AtlasModel.extend({
         urn: '/v1/user/',
         readCacheTTL: 3600,
@@ -38,15 +60,21 @@
         },
 
         onProposedIdentityKeyChange: async function(model, proposed) {
+            if (proposed) {
+                // Verification only ever vouches for the key that was scanned.
+                await this.revokeVerification();
+            }
             await this._updateAvatarIdentStatus();
         },
 
         _updateAvatarIdentStatus: async function() {
             if (self.document) {
                 const trusted = await this.isTrusted();
+                const verified = trusted && await this.isVerified();
                 const $avatars = $(`.f-avatar-image[data-user-card="${this.id}"]`);
                 $avatars.toggleClass('identity-exception', trusted === false);
                 $avatars.toggleClass('identity-trusted', trusted === true);
+                $avatars.toggleClass('identity-verified', !!verified);
             }
         },
 
@@ -119,6 +147,7 @@
                 initials: this.getInitials(),
                 color: this.getColor(),
                 trusted: await this.isTrusted(),
+                verified: await this.isVerified(),
                 removed: this.get('removed'),
             };
         },
@@ -180,7 +209,11 @@
         },
 
         getIdentityWords: async function(proposed) {
-            const identKey = await this.getIdentityKey(proposed);
+            return await this.getKeyWords(await this.getIdentityKey(proposed));
+        },
+
+        getKeyWords: async function(identKey) {
+            /* Mnemonic words for any identity key of this user, current or historical. */
             if (!identKey) {
                 return;
             }
@@ -223,7 +256,10 @@
             }
         },
 
-        trustIdentity: async function(proposed) {
+        trustIdentity: async function(proposed, options) {
+            /* Trust the current or proposed identity key.  Set `options.verified` when
+             * the key was confirmed in person (e.g. by scanning a verification code). */
+            options = options || {};
             const identityKey = await this.getIdentityKey(proposed);
             if (!identityKey) {
                 throw TypeError("Identity key unknown");
@@ -231,56 +267,164 @@
             const trust = new F.TrustedIdentity({id: this.id});
             await trust.fetch({not_found_error: false});
             const oldKey = trust.get('identityKey');
-            if (oldKey && oldKey.length === identityKey.length &&
-                identityKey.every((x, i) => oldKey[i] === x)) {
-                logger.warn("No update needed to identity key");
+            const verified = options.verified ? Date.now() : undefined;
+            if (identityMatch(oldKey, identityKey)) {
+                if (verified) {
+                    await trust.save({verified});
+                } else {
+                    logger.warn("No update needed to identity key");
+                }
             } else {
                 logger.warn("Updating trusted identity for:", this.id);
                 await trust.save({
                     identityKey,
+                    verified,
                     updated: Date.now()
                 });
             }
+            if (verified || !identityMatch(oldKey, identityKey)) {
+                await this.recordIdentityEvent(verified ? 'verified' : 'trusted', {
+                    identityKey,
+                    previousKey: oldKey,
+                    via: options.via,
+                    threadId: options.threadId
+                });
+            }
             await this.save({proposedIdentityKey: undefined});
             await this._updateAvatarIdentStatus();
             setTimeout(this.releaseQuarantinedMessages.bind(this), 0);
         },
 
-        untrustIdentity: async function() {
-            const trust = new F.TrustedIdentity({id: this.id});
-            await trust.destroy();
+        untrustIdentity: async function(options) {
+            options = options || {};
+            const trust = await this.getTrustedIdentity();
+            if (trust) {
+                await trust.destroy();
+                await this.recordIdentityEvent('untrusted', {
+                    identityKey: trust.get('identityKey'),
+                    via: options.via
+                });
+            }
             await this.save({proposedIdentityKey: undefined});
             await this._updateAvatarIdentStatus();
             setTimeout(this.releaseQuarantinedMessages.bind(this), 0);
         },
 
+        hasIdentityChanged: async function() {
+            /* True when this contact's identity key differs from the one we trusted. */
+            if (this.get('proposedIdentityKey')) {
+                return true;
+            }
+            const trust = await this.getTrustedIdentity();
+            return !!trust && !identityMatch(trust.get('identityKey'), await this.getIdentityKey());
+        },
+
+        isVerified: async function() {
+            if (this.get('proposedIdentityKey')) {
+                return false;
+            }
+            const trust = await this.getTrustedIdentity();
+            return !!(trust && trust.get('verified') &&
+                      identityMatch(trust.get('identityKey'), await this.getIdentityKey()));
+        },
+
+        revokeVerification: async function() {
+            const trust = await this.getTrustedIdentity();
+            if (trust && trust.get('verified')) {
+                logger.warn("Revoking identity verification for:", this.id);
+                await trust.save({verified: undefined});
+                await this.recordIdentityEvent('revoked', {
+                    identityKey: trust.get('identityKey'),
+                    proposedKey: this.get('proposedIdentityKey')
+                });
+            }
+        },
+
+        recordIdentityEvent: async function(action, attrs) {
+            /* Append to this contact's identity key history.  See F.IdentityEvent. */
+            const event = new F.IdentityEvent(Object.assign({
+                id: F.util.uuid4(),
+                userId: this.id,
+                action
+            }, _.pick(attrs || {}, x => x !== undefined)));
+            await event.save();
+            return event;
+        },
+
+        getIdentityHistory: async function() {
+            const history = new F.IdentityEventCollection();
+            await history.fetchByUser(this.id);
+            return history;
+        },
+
+        noteIdentityEventThread: async function(threadId) {
+            /* Key changes are seen before a message is decrypted, so the thread is
+             * attached once the first message with the new key is handled. */
+            const history = await this.getIdentityHistory();
+            const event = history.find(x => x.get('action') === 'observed');
+            if (event && !event.get('threadId') &&
+                identityMatch(event.get('identityKey'), await this.getIdentityKey())) {
+                await event.save({threadId});
+            }
+        },
+
+        getVerificationCode: async function() {
+            /* Text for a QR code that lets this user confirm our identity key and the
+             * one we have for them in a single scan. */
+            const theirKey = await this.getIdentityKey(!!this.get('proposedIdentityKey'));
+            const ourIdentity = await F.foundation.relayStore.getOurIdentity();
+            if (!theirKey || !ourIdentity) {
+                return;
+            }
+            return VERIFY_CODE_PREFIX + [
+                F.currentUser.id,
+                encodeKey(new Uint8Array(ourIdentity.pubKey)),
+                this.id,
+                encodeKey(theirKey)
+            ].join(':');
+        },
+
+        verifyIdentityCode: async function(code) {
+            /* Check a code generated by this user's device and mark their identity as
+             * verified if both keys match.  Throws with a user presentable message
+             * when they don't. */
+            if (typeof code !== 'string' || !code.startsWith(VERIFY_CODE_PREFIX)) {
+                throw new TypeError("Not a verification code");
+            }
+            const [senderId, senderKey, recipientId, recipientKey] =
+                code.substr(VERIFY_CODE_PREFIX.length).split(':');
+            if (senderId !== this.id || recipientId !== F.currentUser.id) {
+                throw new Error(`This code was not made for verifying ${this.getName()}`);
+            }
+            const ourIdentity = await F.foundation.relayStore.getOurIdentity();
+            if (!identityMatch(decodeKey(recipientKey), new Uint8Array(ourIdentity.pubKey))) {
+                throw new Error(`${this.getName()} does not have your current identity key`);
+            }
+            const proposed = !!this.get('proposedIdentityKey');
+            if (!identityMatch(decodeKey(senderKey), await this.getIdentityKey(proposed))) {
+                throw new Error(`Identity key for ${this.getName()} does not match`);
+            }
+            await this.trustIdentity(proposed, {verified: true, via: 'qr-code'});
+        },
+
         releaseQuarantinedMessages: async function() {
             await F.queueAsync(this, this._releaseQuarantinedMessages.bind(this));
         },
 
-        _releaseQuarantinedMessages: async function() {
+        getQuarantinedMessages: async function() {
             const quarantined = new F.QuarantinedMessageCollection();
-            await quarantined.fetch({
-                index: {
-                    name: 'source',
-                    only: this.id
-                }
-            });
+            await quarantined.fetchBySource(this.id);
+            return quarantined;
+        },
+
+        _releaseQuarantinedMessages: async function() {
+            const quarantined = (await this.getQuarantinedMessages()).filter(x => !x.get('held'));
             if (!quarantined.length) {
                 return;
             }
-            const msgRecv = F.foundation.getMessageReceiver();
-            await msgRecv.idle;
             logger.warn(`Releasing ${quarantined.length} messages from quarantine`);
-            for (const msg of Array.from(quarantined.models)) {
-                const env = relay.protobuf.Envelope.decode(msg.get('protobuf'));
-                env.timestamp = msg.get('timestamp');  // Must used normalized timestamp!
-                try {
-                    await msgRecv.handleEnvelope(env, /*reentrant*/ false, /*forceAccept*/ true);
-                } catch(e) {
-                    logger.error('Unquarantine Message Error:', e);
-                }
-                await msg.destroy();
+            for (const msg of quarantined) {
+                await msg.release();
             }
         },
 
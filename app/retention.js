@@ -0,0 +1,231 @@
+// vim: ts=4:sw=4:expandtab
+/* global */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+    const ns = F.retention = {};
+
+    const logger = F.log.getLogger('retention');
+
+    const dayMS = 86400 * 1000;
+    const pruneInterval = 6 * 3600 * 1000;
+    const batchSize = 100;
+
+    let _timer;
+
+
+    function isLimit(value) {
+        return Number.isInteger(value) && value > 0;
+    }
+
+    function normalize(policy) {
+        /* Invalid limits are dropped here; `ns.validate` is for user input. */
+        if (!policy) {
+            return null;
+        }
+        const days = isLimit(Number(policy.days)) ? Number(policy.days) : null;
+        const count = isLimit(Number(policy.count)) ? Number(policy.count) : null;
+        return days || count ? {days, count} : null;
+    }
+
+    ns.validate = function(policy) {
+        /* Throw a TypeError for limits that are set but aren't whole positive
+         * numbers.  Blank limits are fine and mean no limit. */
+        if (!policy) {
+            return;
+        }
+        for (const [key, label] of [['days', 'Days'], ['count', 'Message count']]) {
+            const value = policy[key];
+            if (value !== undefined && value !== null && value !== '' && !isLimit(Number(value))) {
+                throw new TypeError(`${label} must be a whole number greater than zero`);
+            }
+        }
+    };
+
+    ns.describe = function(policy) {
+        /* Messages are pruned when they break either limit. */
+        policy = normalize(policy);
+        if (!policy) {
+            return 'Keep all messages';
+        }
+        const days = policy.days && `${policy.days.toLocaleString()} ${policy.days === 1 ? 'day' : 'days'}`;
+        if (!policy.count) {
+            return `Keep messages for ${days}`;
+        }
+        const count = `Keep at most the last ${policy.count.toLocaleString()} messages`;
+        return days ? `${count}, none older than ${days}` : count;
+    };
+
+    ns.getDefault = async function() {
+        return normalize(await F.state.get('retentionDefault'));
+    };
+
+    ns.setDefault = async function(policy) {
+        ns.validate(policy);
+        await F.state.put('retentionDefault', normalize(policy));
+    };
+
+    ns.getPolicy = async function(thread) {
+        /* A thread's own policy wins, an undefined one falls back to the default
+         * and null means keep everything. */
+        const own = thread.get('retention');
+        return own === undefined ? await ns.getDefault() : normalize(own);
+    };
+
+    ns.setPolicy = async function(thread, policy) {
+        ns.validate(policy);
+        await thread.save({retention: policy === undefined ? undefined : normalize(policy)});
+        await ns.pruneThread(thread);
+    };
+
+    async function destroyMessage(message) {
+        /* Remove a message and everything hanging off of it.  Attachment data is
+         * cached inline, so it goes with the message record. */
+        await message.fetchRelated();
+        await Promise.all(message.receipts.models.map(x => x.destroy()));
+        for (const reply of Array.from(message.replies.models)) {
+            await destroyMessage(reply);
+        }
+        await message.destroy();
+    }
+
+    ns.countPrunable = async function(thread, policy) {
+        /* Estimate how many of a thread's messages a policy would remove right
+         * now.  Replies that go with their parent aren't counted. */
+        policy = normalize(policy);
+        if (!policy) {
+            return 0;
+        }
+        const count = async upper => await F.util.dbStoreCount(F.Database.id, 'messages', {
+            index: 'threadId-timestamp',
+            bound: {
+                lower: [thread.id],
+                upper: [thread.id, upper]
+            }
+        });
+        const expired = policy.days ? await count(Date.now() - policy.days * dayMS) : 0;
+        const excess = policy.count ? Math.max(0, await count(Infinity) - policy.count) : 0;
+        return Math.max(expired, excess);
+    };
+
+    ns.countPrunableDefault = async function(policy) {
+        /* Like `countPrunable` for every thread that follows the default policy. */
+        const threads = new F.ThreadCollection();
+        await threads.fetch();
+        let total = 0;
+        for (const x of threads.models) {
+            if (x.get('retention') === undefined) {
+                total += await ns.countPrunable(x, policy);
+            }
+        }
+        return total;
+    };
+
+    function notePruned(thread, count, policy) {
+        /* Keep a single notice with a running total rather than one per pass. */
+        const prior = thread.get('retentionNotice');
+        if (prior && thread.removeNotice(prior.id)) {
+            count += prior.count;
+        }
+        const id = thread.addNotice({
+            title: 'Messages Pruned',
+            detail: `${count.toLocaleString()} older messages were removed ` +
+                    `by the retention policy (${ns.describe(policy).toLowerCase()}).`,
+            icon: 'recycle'
+        });
+        thread.set('retentionNotice', {id, count});
+    }
+
+    ns.pruneThread = async function(thread) {
+        /* Delete messages that fall outside the thread's retention policy and leave
+         * a notice about it.  Returns the number of messages removed. */
+        const policy = await ns.getPolicy(thread);
+        if (!policy) {
+            return 0;
+        }
+        return await F.queueAsync(`retention-prune-${thread.id}`, async () => {
+            const cutoff = policy.days ? Date.now() - policy.days * dayMS : 0;
+            let excess = 0;
+            if (policy.count) {
+                excess = Math.max(0, await F.util.dbStoreCount(F.Database.id, 'messages', {
+                    index: 'threadId-timestamp',
+                    bound: {
+                        lower: [thread.id],
+                        upper: [thread.id, Infinity]
+                    }
+                }) - policy.count);
+            }
+            const pruned = new Set();
+            let done = false;
+            while (!done) {
+                const batch = new F.MessageCollection();
+                await batch.fetch({
+                    limit: batchSize,
+                    index: {
+                        name: 'threadId-timestamp',
+                        lower: [thread.id],
+                        upper: [thread.id, Infinity]
+                    }
+                });
+                done = batch.length < batchSize;
+                for (const message of batch.models) {
+                    if (pruned.has(message.id)) {
+                        continue;  // A reply that went with its parent.
+                    }
+                    if (message.get('timestamp') >= cutoff && pruned.size >= excess) {
+                        done = true;
+                        break;
+                    }
+                    await destroyMessage(message);
+                    pruned.add(message.id);
+                    for (const x of message.replies.models) {
+                        pruned.add(x.id);
+                    }
+                }
+            }
+            if (!pruned.size) {
+                return 0;
+            }
+            thread.messages.remove(Array.from(pruned));
+            logger.info(`Pruned ${pruned.size} messages from thread:`, thread.id);
+            notePruned(thread, pruned.size, policy);
+            await thread.save();
+            return pruned.size;
+        });
+    };
+
+    ns.pruneAll = async function() {
+        const threads = new F.ThreadCollection();
+        await threads.fetch();
+        let total = 0;
+        for (const x of threads.models) {
+            // Prefer the live model so open views see the notice.
+            const thread = F.foundation.allThreads.get(x.id) || x;
+            try {
+                total += await ns.pruneThread(thread);
+            } catch(e) {
+                logger.error("Failed to prune thread:", thread.id, e);
+            }
+            await F.util.idle();
+        }
+        if (total) {
+            logger.info(`Retention pruning removed ${total} messages.`);
+        }
+        return total;
+    };
+
+    async function run() {
+        try {
+            await ns.pruneAll();
+        } finally {
+            _timer = setTimeout(run, pruneInterval);
+        }
+    }
+
+    ns.start = function() {
+        clearTimeout(_timer);
+        _timer = setTimeout(run, 0);
+    };
+})();
@@ -0,0 +1,237 @@
+// vim: ts=4:sw=4:expandtab
+/* global moment */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+    const ns = F.search = {};
+
+    const tokenRe = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|'([^']*)'?|(\S+))/gi;
+    const dateFormats = ['YYYY-MM-DD', 'YYYY/MM/DD', 'M/D/YYYY', 'M/D/YY', 'MMM D YYYY', 'MMM D'];
+    const linkRe = /\bhttps?:\/\/|\bwww\./i;
+
+    const termKeys = new Set(['from', 'to', 'in', 'before', 'after', 'has', 'is']);
+    const hasValues = {
+        attachment: 'attachment',
+        attachments: 'attachment',
+        file: 'attachment',
+        link: 'link',
+        links: 'link',
+        url: 'link'
+    };
+    const isValues = {
+        unread: 'unread',
+        mention: 'mention',
+        mentioned: 'mention'
+    };
+
+
+    function parseDate(value) {
+        const lower = value.toLowerCase();
+        let date;
+        if (lower === 'today') {
+            date = moment();
+        } else if (lower === 'yesterday') {
+            date = moment().subtract(1, 'day');
+        } else {
+            date = moment(value, dateFormats, /*strict*/ true);
+        }
+        return date.isValid() ? date.startOf('day').valueOf() : undefined;
+    }
+
+    function parseTerm(negate, key, value, raw) {
+        key = key && key.toLowerCase();
+        if (key && !termKeys.has(key)) {
+            // Not one of ours (e.g. a url scheme or a time), so search for it literally.
+            return {key: 'text', value: raw.replace(/^-/, '').toLowerCase(), negate, raw};
+        }
+        const term = {key: key || 'text', value, input: value, negate, raw};
+        if (key === 'before' || key === 'after') {
+            term.date = parseDate(value);
+            term.invalid = term.date === undefined;
+        } else if (key === 'has') {
+            term.value = hasValues[value.toLowerCase()];
+            term.invalid = !term.value;
+        } else if (key === 'is') {
+            term.value = isValues[value.toLowerCase()];
+            term.invalid = !term.value;
+        } else {
+            term.value = value.toLowerCase().replace(/\s+/g, ' ').trim();
+            term.invalid = !term.value;
+        }
+        return term;
+    }
+
+    ns.parseQuery = function(query) {
+        /* Parse a search query into clauses that must all match, each of which is a
+         * list of alternative terms (joined by `OR`).  Supported terms are words,
+         * "quoted phrases", from:, to:, in:, before:, after:, has:attachment,
+         * has:link, is:unread and is:mention.  Any of them can be excluded by
+         * prefixing with `-`. */
+        const terms = [];
+        const clauses = [];
+        let joinNext = false;
+        tokenRe.lastIndex = 0;
+        for (let m = tokenRe.exec(query); m; m = tokenRe.exec(query)) {
+            const [raw, negate, key] = m;
+            const quoted = m[3] !== undefined || m[4] !== undefined;
+            const value = m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : m[5];
+            if (!negate && !key && !quoted && value === 'OR') {
+                joinNext = !!clauses.length;
+                continue;
+            }
+            const term = parseTerm(!!negate, key, value, raw);
+            if (!key && quoted) {
+                term.key = 'phrase';
+            }
+            terms.push(term);
+            if (term.invalid) {
+                continue;
+            }
+            if (joinNext) {
+                clauses[clauses.length - 1].push(term);
+            } else {
+                clauses.push([term]);
+            }
+            joinNext = false;
+        }
+        return {terms, clauses};
+    };
+
+    ns.removeTerm = function(query, term) {
+        /* Return the query without the raw text of `term`, tidying any orphaned OR. */
+        const idx = query.indexOf(term.raw);
+        if (idx === -1) {
+            return query;
+        }
+        let before = query.substr(0, idx);
+        let after = query.substr(idx + term.raw.length);
+        if (/(^|\s)OR\s*$/.test(before)) {
+            before = before.replace(/(^|\s)OR\s*$/, ' ');
+        } else {
+            after = after.replace(/^\s*OR(\s|$)/, ' ');
+        }
+        return (before + after).replace(/\s+/g, ' ').trim();
+    };
+
+    ns.describeTerm = function(term) {
+        let desc;
+        if (term.key === 'text') {
+            desc = term.value;
+        } else if (term.key === 'phrase') {
+            desc = `"${term.value}"`;
+        } else if (term.invalid) {
+            desc = `${term.key}: ${term.input}`;
+        } else if (term.key === 'before' || term.key === 'after') {
+            desc = `${term.key}: ${moment(term.date).format('ll')}`;
+        } else {
+            desc = `${term.key}: ${term.value}`;
+        }
+        return term.negate ? `-${desc}` : desc;
+    };
+
+    ns.getIndexCriteria = function(parsed) {
+        /* Index criteria for narrowing the candidates of a message search.  Only
+         * required positive terms can be used; everything else is left to the
+         * matcher. */
+        const indexes = {
+            text: 'body',
+            phrase: 'body',
+            from: 'from',
+            to: 'to'
+        };
+        return parsed.clauses.filter(x => x.length === 1 && !x[0].negate && indexes[x[0].key])
+                             .map(([term]) => ({index: indexes[term.key], criteria: term.value}));
+    };
+
+    ns.getDateRange = function(parsed) {
+        /* The tightest timestamp range implied by required before:/after: terms. */
+        let lower;
+        let upper;
+        for (const [term] of parsed.clauses.filter(x => x.length === 1 && !x[0].negate)) {
+            if (term.key === 'after') {
+                lower = Math.max(lower || 0, term.date);
+            } else if (term.key === 'before') {
+                upper = Math.min(upper || Infinity, term.date);
+            }
+        }
+        if (lower !== undefined && upper !== undefined) {
+            return lower < upper ? IDBKeyRange.bound(lower, upper, false, true) : null;
+        } else if (lower !== undefined) {
+            return IDBKeyRange.lowerBound(lower);
+        } else if (upper !== undefined) {
+            return IDBKeyRange.upperBound(upper, true);
+        }
+    };
+
+    ns.buildMessageMatcher = function(parsed) {
+        /* Returns a function that tests raw message records against every clause
+         * of the parsed query. */
+        const contactMatches = new Map();
+        const threadMatches = new Map();
+        const terms = [].concat(...parsed.clauses);
+        for (const term of terms.filter(x => x.key === 'from' || x.key === 'to')) {
+            if (contactMatches.has(term.value)) {
+                continue;
+            }
+            const ids = new Set();
+            for (const c of F.foundation.getContacts().models) {
+                const text = `${c.getName()} ${c.getTagSlug({full: true})}`.toLowerCase();
+                if (text.indexOf(term.value) !== -1) {
+                    ids.add(c.id);
+                }
+            }
+            contactMatches.set(term.value, ids);
+        }
+        for (const term of terms.filter(x => x.key === 'in')) {
+            if (threadMatches.has(term.value)) {
+                continue;
+            }
+            const ids = new Set();
+            for (const t of F.foundation.allThreads.models) {
+                const title = (t.getNormalizedTitle(/*text*/ true) || '').toLowerCase();
+                if (title.indexOf(term.value) !== -1) {
+                    ids.add(t.id);
+                }
+            }
+            threadMatches.set(term.value, ids);
+        }
+        const ourId = F.currentUser.id;
+
+        function test(term, record, plain) {
+            switch (term.key) {
+                case 'text':
+                case 'phrase':
+                    return plain.indexOf(term.value) !== -1;
+                case 'from':
+                    return contactMatches.get(term.value).has(record.sender);
+                case 'to':
+                    return (record.members || []).some(x => x !== record.sender &&
+                                                           contactMatches.get(term.value).has(x));
+                case 'in':
+                    return threadMatches.get(term.value).has(record.threadId);
+                case 'before':
+                    return record.timestamp < term.date;
+                case 'after':
+                    return record.timestamp >= term.date;
+                case 'has':
+                    return term.value === 'attachment' ?
+                        !!(record.attachments && record.attachments.length) :
+                        linkRe.test(record.plain || '');
+                case 'is':
+                    return term.value === 'unread' ?
+                        !!(record.incoming && !record.read) :
+                        !!(record.mentions && record.mentions.indexOf(ourId) !== -1);
+                default:
+                    throw new TypeError(`Unexpected search term: ${term.key}`);
+            }
+        }
+
+        return record => {
+            const plain = (record.plain || '').toLowerCase().replace(/\s+/g, ' ');
+            return parsed.clauses.every(clause =>
+                clause.some(term => test(term, record, plain) !== term.negate));
+        };
+    };
+})();
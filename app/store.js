@@ -28,6 +28,7 @@
     const PreKey = Model.extend({storeName: 'preKeys'});
     const SignedPreKey = Model.extend({storeName: 'signedPreKeys'});
     const Session = Model.extend({storeName: 'sessions'});
+    const SessionHistory = Model.extend({storeName: 'sessionHistory'});
 
     const PreKeyCollection = Backbone.Collection.extend({
         storeName: 'preKeys',
@@ -40,7 +41,7 @@
         model: SignedPreKey
     });
 
-    const sessionCollection = new (Backbone.Collection.extend({
+    const SessionCollection = Backbone.Collection.extend({
         storeName: 'sessions',
         database: F.Database,
         model: Session,
@@ -55,7 +56,14 @@
         getSessionsForAddr: function(addr) {
             return this.filter(x => x.get('addr') === addr);
         }
-    }))();
+    });
+    const sessionCollection = new SessionCollection();
+    const SessionHistoryCollection = Backbone.Collection.extend({
+        storeName: 'sessionHistory',
+        database: F.Database,
+        model: SessionHistory
+    });
+    const undeliveredLimit = 100;
     const IdentityKey = Model.extend({storeName: 'identityKeys'});
     const identityKeyCache = new Map();
 
@@ -239,7 +247,11 @@
                 await session.fetch({not_found_error: false});
                 sessionCollection.add(session);
             }
-            await session.save({record, deviceId, addr});
+            const attrs = {record, deviceId, addr, updated: Date.now()};
+            if (!session.get('record')) {
+                attrs.created = attrs.updated;
+            }
+            await session.save(attrs);
         }
 
         async getDeviceIds(addr) {
@@ -272,6 +284,62 @@
             await sessionCollection.sync('delete', sessionCollection, {});
         }
 
+        async getSessionInfo(addr) {
+            /* Describe stored sessions, for one address or all of them, merged with
+             * their history.  Devices with history but no current session are included
+             * as inactive.  Session records (key material) are never returned. */
+            const sessions = new SessionCollection();
+            const history = new SessionHistoryCollection();
+            if (addr) {
+                await sessions.fetchSessionsForAddr(addr);
+                await history.fetch({index: {name: 'addr', only: addr}});
+            } else {
+                await sessions.fetch();
+                await history.fetch();
+            }
+            const info = new Map();
+            for (const x of sessions.models) {
+                info.set(x.id, Object.assign({active: true}, _.omit(x.attributes, 'record')));
+            }
+            for (const x of history.models) {
+                info.set(x.id, Object.assign({active: false}, info.get(x.id), x.attributes));
+            }
+            return Array.from(info.values());
+        }
+
+        async _updateSessionHistory(encodedAddr, attrs) {
+            const [addr, deviceId] = relay.util.unencodeAddr(encodedAddr);
+            const history = new SessionHistory({id: encodedAddr});
+            await history.fetch({not_found_error: false});
+            if (typeof attrs === 'function') {
+                attrs = attrs(history);
+            }
+            await history.save(Object.assign({addr, deviceId}, attrs));
+        }
+
+        async noteSessionClosed(encodedAddr, direction, reason) {
+            await this._updateSessionHistory(encodedAddr, {
+                closed: {timestamp: Date.now(), direction, reason}
+            });
+        }
+
+        async noteRetransmitRequest(encodedAddr, direction, timestamps) {
+            await this._updateSessionHistory(encodedAddr, {
+                retransmitRequest: {timestamp: Date.now(), direction, count: timestamps.length}
+            });
+        }
+
+        async noteUndelivered(encodedAddr, timestamp) {
+            /* Track messages from this device that we could not decrypt. */
+            await this._updateSessionHistory(encodedAddr, history => ({
+                undelivered: (history.get('undelivered') || []).concat(timestamp).slice(-undeliveredLimit)
+            }));
+        }
+
+        async clearUndelivered(encodedAddr) {
+            await this._updateSessionHistory(encodedAddr, {undelivered: []});
+        }
+
         async isTrustedIdentity(identifier, publicKey) {
             if (!identifier) {
                 throw new TypeError("`identifier` required");
@@ -8,6 +8,55 @@
     const ns = F.sync = {};
     const logger = F.log.getLogger('sync');
 
+    const draftPushDelay = 60000;
+    const pendingDraftPushes = new Map();
+
+
+    async function encodeDrafts(drafts) {
+        /* Attachment data travels as message attachments; the payload only
+         * holds an index into them. */
+        const attachments = [];
+        const payload = [];
+        for (const draft of drafts) {
+            await draft.fetchAttachmentData();
+            payload.push({
+                id: draft.id,
+                html: draft.get('html'),
+                updated: draft.get('updated'),
+                attachments: draft.get('attachments').map(x => {
+                    const index = attachments.push(x) - 1;
+                    const proxy = Object.assign({index}, x);
+                    delete proxy.data;
+                    delete proxy.id;
+                    delete proxy.key;
+                    return proxy;
+                })
+            });
+        }
+        return {payload, attachments};
+    }
+
+
+    async function storeSyncedDraft(data, allAttachments, ours) {
+        if (ours && ours.get('updated') >= data.updated) {
+            return;
+        }
+        const thread = F.foundation.allThreads.get(data.id);
+        if (!thread) {
+            return;
+        }
+        for (const x of data.attachments) {
+            x.id = allAttachments[x.index].id.toString();
+            x.key = allAttachments[x.index].key.toArrayBuffer();
+            delete x.index;
+        }
+        const draft = await F.Draft.store(thread, data.html, data.attachments, data.updated);
+        if (draft) {
+            thread.trigger('draftsync', draft);
+        }
+        return draft;
+    }
+
 
     class Request extends F.AsyncEventTarget {
 
@@ -35,7 +84,7 @@
                 devices: this.devices,
                 ttl: this.ttl,
                 type
-            }, data));
+            }, data), options.attachments);
             const ev = new Event('started');
             ev.request = this;
             await this.dispatchEvent(ev);
@@ -80,6 +129,7 @@
             /* Collect our own content into a manifest that acts as an exclude
              * list to the responders. */
             const knownMessages = [];
+            const knownEdits = [];
             const knownThreads = [];
             const knownContacts = F.foundation.getContacts().map(x => ({
                 id: x.id,
@@ -91,6 +141,9 @@
                 for (const m of mc.models) {
                     if (!m.isClientOnly()) {
                         knownMessages.push(m.id);
+                        if (m.get('edited')) {
+                            knownEdits.push({id: m.id, edited: m.get('edited')});
+                        }
                     }
                 }
                 knownThreads.push({
@@ -101,6 +154,7 @@
             this._bindEventListener(this.onContentHistoryResponse.bind(this));
             await this.start('contentHistory', {
                 knownMessages,
+                knownEdits,
                 knownThreads,
                 knownContacts
             }, options);
@@ -114,6 +168,28 @@
             await this.start('deviceInfo', undefined, options);
         }
 
+        async syncDrafts(options) {
+            /* Offer our drafts as a manifest so peers only send newer ones. */
+            this._drafts = new F.DraftCollection();
+            await this._drafts.fetch();
+            const knownDrafts = this._drafts.map(x => ({
+                id: x.id,
+                updated: x.get('updated')
+            }));
+            this._bindEventListener(this.onDraftsResponse.bind(this));
+            const ev = new Event('starting');
+            ev.request = this;
+            await this.dispatchEvent(ev);
+            await this.start('drafts', {knownDrafts}, options);
+        }
+
+        async pushDraft(draft, options) {
+            /* Unsolicited update of a single draft; peers don't respond. */
+            const {payload, attachments} = await encodeDrafts([draft]);
+            await this.start('draftUpdate', {drafts: payload},
+                             Object.assign({attachments}, options));
+        }
+
         async onContentHistoryResponse(ev) {
             const response = ev.data.exchange.data;
             const allAttachments = ev.data.attachments;
@@ -151,7 +227,16 @@
                     this._messageCollections.set(m.threadId, mc);
                 }
                 const mCol = this._messageCollections.get(m.threadId);
-                if (!mCol.get(m.id)) {
+                const ours = mCol.get(m.id);
+                if (ours) {
+                    if (m.edited && m.edited > (ours.get('edited') || 0)) {
+                        msgSaves.push(ours.save(_.pick(m, 'plain', 'safe_html', 'editId',
+                                                       'edited', 'revisions')));
+                        updated.messages.add(m.id);
+                        updated.threads.add(m.threadId);
+                        this.stats.messages++;
+                    }
+                } else {
                     if (m.attachments.length) {
                         for (const x of m.attachments) {
                             x.id = allAttachments[x.index].id.toString();
@@ -192,6 +277,22 @@
             await this._dispatchResponseEvent(response, {updated});
         }
 
+        async onDraftsResponse(ev) {
+            const response = ev.data.exchange.data;
+            const allAttachments = ev.data.attachments;
+            const updated = {drafts: new Set()};
+            for (const d of response.drafts || []) {
+                const draft = await storeSyncedDraft(d, allAttachments, this._drafts.get(d.id));
+                if (draft) {
+                    this._drafts.add(draft, {merge: true});
+                    updated.drafts.add(d.id);
+                }
+            }
+            logger.info(`Handling drafts sync response from ${ev.data.message.get('sourceDevice')}: ` +
+                        `${updated.drafts.size} drafts updated.`);
+            await this._dispatchResponseEvent(response, {updated});
+        }
+
         async onDeviceInfoResponse(ev) {
             /* Merge in new data into our `ourDevices` state. */
             const info = ev.data.exchange.data.deviceInfo;
@@ -218,6 +319,36 @@
     }
     ns.Request = Request;
 
+    ns.pushDraft = function(draft) {
+        /* Coalesce rapid edits of a draft into one push; callers should use
+         * `flushDrafts` when the user leaves the conversation. */
+        const pending = pendingDraftPushes.get(draft.id);
+        if (pending) {
+            pending.draft = draft;
+            return;
+        }
+        pendingDraftPushes.set(draft.id, {
+            draft,
+            timer: setTimeout(() => sendDraftPush(draft.id), draftPushDelay)
+        });
+    };
+
+    ns.flushDrafts = function() {
+        for (const id of Array.from(pendingDraftPushes.keys())) {
+            sendDraftPush(id);
+        }
+    };
+
+    function sendDraftPush(id) {
+        const pending = pendingDraftPushes.get(id);
+        if (!pending) {
+            return;
+        }
+        pendingDraftPushes.delete(id);
+        clearTimeout(pending.timer);
+        (new Request()).pushDraft(pending.draft).catch(e => logger.error("Draft push failed:", e));
+    }
+
 
     class Responder {
 
@@ -268,6 +399,7 @@
             }
             this.theirThreads = new Map(request.knownThreads.map(x => [x.id, x.lastActivity]));
             this.theirMessages = new Set(request.knownMessages);
+            this.theirEdits = new Map((request.knownEdits || []).map(x => [x.id, x.edited]));
             const onPeerResponse = this.onPeerResponse.bind(this);
             addEventListener('syncResponse', onPeerResponse);
             try {
@@ -351,7 +483,7 @@
                 const messages = new F.MessageCollection([], {thread});
                 await messages.fetchAll();
                 const messagesDiff = messages.filter(m =>
-                    !m.isClientOnly() && !this.theirMessages.has(m.id));
+                    !m.isClientOnly() && (!this.theirMessages.has(m.id) || this.isNewerEdit(m)));
                 stats.messages += messagesDiff.length;
                 await this.enqueueMessages(messagesDiff);
                 const ts = this.theirThreads.get(thread.id);
@@ -367,6 +499,11 @@
                         `${stats.contacts} contacts.`, this.id);
         }
 
+        isNewerEdit(message) {
+            const edited = message.get('edited');
+            return !!edited && edited > (this.theirEdits.get(message.id) || 0);
+        }
+
         onPeerResponse(ev) {
             /* Eliminate redundancy by monitoring peer responses. */
             if (ev.id !== this.id) {
@@ -381,6 +518,9 @@
             }
             for (const m of (peerResponse.messages || [])) {
                 this.theirMessages.add(m.id);
+                if (m.edited && m.edited > (this.theirEdits.get(m.id) || 0)) {
+                    this.theirEdits.set(m.id, m.edited);
+                }
             }
             for (const c of (peerResponse.contacts || [])) {
                 if (typeof c === 'string') {
@@ -412,21 +552,32 @@
                     }
                     return {
                         attachments,
+                        editId: m.editId,
+                        edited: m.edited,
                         expiration: m.expiration,
                         expirationUpdate: m.expirationUpdate,
                         flags: m.flags,
+                        forwarded: m.forwarded,
                         id: m.id,
                         incoming: m.incoming,
                         keyChange: m.keyChange,
+                        location: m.location,
+                        locationUpdated: m.locationUpdated,
                         members: m.members,
                         mentions: m.mentions,
                         messageRef: m.messageRef,
                         monitors: m.monitors,
                         pendingMembers: m.pendingMembers,
                         plain: m.plain,
+                        poll: m.poll,
+                        pollClosed: m.pollClosed,
+                        pollTally: m.pollTally,
+                        pollVotes: m.pollVotes,
+                        reactions: m.reactions,
                         read: m.read,
                         received: m.received,
                         replies: m.replies,
+                        revisions: m.revisions,
                         safe_html: m.safe_html,
                         sender: m.sender,
                         senderDevice: m.senderDevice,
@@ -468,6 +619,7 @@
                         title: t.title,
                         type: t.type,
                         unreadCount: t.unreadCount,
+                        unreadReplyCount: t.unreadReplyCount,
                         readMarks: t.readMarks,
                         readLevel: t.readLevel
                     };
@@ -492,6 +644,38 @@
     }
 
 
+    class DraftsResponder extends Responder {
+
+        async process(request) {
+            const theirDrafts = new Map(request.knownDrafts.map(x => [x.id, x.updated]));
+            const drafts = new F.DraftCollection();
+            await drafts.fetch();
+            const newer = drafts.filter(x => {
+                const theirs = theirDrafts.get(x.id);
+                return theirs ? x.get('updated') > theirs : !x.isEmpty();
+            });
+            if (!newer.length) {
+                return;
+            }
+            logger.info(`Synchronizing ${newer.length} drafts with device:`, this.sourceDevice);
+            const {payload, attachments} = await encodeDrafts(newer);
+            await this.sendResponse({drafts: payload}, attachments);
+        }
+    }
+
+
+    class DraftUpdateResponder extends Responder {
+
+        async process(request, attachments) {
+            for (const d of request.drafts || []) {
+                if (await storeSyncedDraft(d, attachments, await F.Draft.load(d.id))) {
+                    logger.info("Draft updated by device:", this.sourceDevice);
+                }
+            }
+        }
+    }
+
+
     class DeviceInfoResponder extends Responder {
 
         async process(request) {
@@ -558,9 +742,13 @@
             responder = new ContentHistoryResponder(ev.id, sourceDevice);
         } else if (request.type === 'deviceInfo') {
             responder = new DeviceInfoResponder(ev.id, sourceDevice);
+        } else if (request.type === 'drafts') {
+            responder = new DraftsResponder(ev.id, sourceDevice);
+        } else if (request.type === 'draftUpdate') {
+            responder = new DraftUpdateResponder(ev.id, sourceDevice);
         } else {
             throw new Error("Unexpected sync-request type: " + request.type);
         }
-        await responder.process(request);
+        await responder.process(request, ev.data.attachments);
     };
 })();
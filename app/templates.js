@@ -111,6 +111,12 @@
         return buf.join('');
     };
 
+    ns.help.duration = function(seconds) {
+        /* Short media style duration, e.g. "1:05" */
+        const n = Math.max(0, Math.round(seconds || 0));
+        return `${Math.floor(n / 60)}:${('0' + (n % 60)).slice(-2)}`;
+    };
+
     ns.help.humanbytes = function(val, _kwargs) {
         const resp = F.util.shortenNumber1024s(val);
         const s = ns.help.round(resp[0], _kwargs);
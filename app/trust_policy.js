@@ -0,0 +1,97 @@
+// vim: ts=4:sw=4:expandtab
+/* global */
+
+(function() {
+    'use strict';
+
+    self.F = self.F || {};
+    const ns = F.trustPolicy = {};
+
+    const logger = F.log.getLogger('trust-policy');
+
+    const inflight = new Set();
+
+    ns.getDefault = async function() {
+        return !!(await F.state.get('strictTrustDefault'));
+    };
+
+    ns.setDefault = async function(strict) {
+        await F.state.put('strictTrustDefault', !!strict);
+    };
+
+    ns.isStrict = async function(thread) {
+        /* A thread's own setting wins, undefined falls back to the default. */
+        const own = thread.get('strictTrust');
+        return own === undefined ? await ns.getDefault() : !!own;
+    };
+
+    ns.setStrict = async function(thread, strict) {
+        await thread.save({strictTrust: strict === undefined ? undefined : !!strict});
+    };
+
+    ns.getChangedMembers = async function(thread, addrs) {
+        /* Returns the contacts, from `addrs` or the thread's members, whose identity
+         * key no longer matches the one we trusted. */
+        addrs = addrs || await thread.getMembers(/*excludePending*/ true);
+        const users = await F.atlas.getContacts(addrs.filter(x => x !== F.currentUser.id));
+        const changed = [];
+        for (const user of users) {
+            if (user && await user.hasIdentityChanged()) {
+                changed.push(user);
+            }
+        }
+        return changed;
+    };
+
+    ns.shouldHold = async function(thread, addrs) {
+        return await ns.isStrict(thread) && !!(await ns.getChangedMembers(thread, addrs)).length;
+    };
+
+    ns.trackSend = function(send) {
+        /* Remember a `{thread, msg, payload, options}` send while it's with the
+         * message sender.  Returns a function that forgets it again. */
+        inflight.add(send);
+        return () => inflight.delete(send);
+    };
+
+    function getInflightSends(addr) {
+        return Array.from(inflight).filter(x => x.payload.addrs.indexOf(addr) !== -1);
+    }
+
+    ns.isStrictForSend = async function(addr) {
+        /* Resolve the policy for a key change found while sending to `addr`.  The
+         * key error doesn't say which send found it, so any strict thread sending
+         * to them wins.  With nothing in flight we can only use the default. */
+        const sends = getInflightSends(addr);
+        if (!sends.length) {
+            return await ns.getDefault();
+        }
+        for (const x of sends) {
+            if (await ns.isStrict(x.thread)) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    ns.holdRefusedSends = async function(addr) {
+        /* Queue the sends interrupted by a refused key change so approval delivers
+         * them to `addr`.  Other recipients already have them. */
+        for (const x of getInflightSends(addr)) {
+            await x.thread.holdSend(x.msg, Object.assign({}, x.payload, {addrs: [addr]}), x.options);
+        }
+    };
+
+    ns.approve = async function(thread) {
+        /* Trust the current identity of every changed member and send anything that
+         * was held back because of them.  Returns the sent and failed counts. */
+        for (const user of await ns.getChangedMembers(thread)) {
+            logger.warn("Approving changed identity for:", user.id);
+            await user.trustIdentity(/*proposed*/ !!user.get('proposedIdentityKey'), {
+                via: 'strict-trust-approval',
+                threadId: thread.id
+            });
+        }
+        return await thread.releasePendingSends();
+    };
+})();
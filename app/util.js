@@ -880,6 +880,39 @@
         }
     };
 
+    ns.dbStorePut = async function(dbId, storeName, records) {
+        /* Write many records with one transaction instead of one per model save. */
+        if (F.managedConfig) {
+            for (const json of records) {
+                await F.parentRPC.invokeCommand(`db-gateway-update-${dbId}`, {
+                    storeName,
+                    json,
+                    idAttribute: 'id'
+                });
+            }
+        } else {
+            const db = await idbRequest(indexedDB.open(dbId));
+            try {
+                await new Promise((resolve, reject) => {
+                    const tx = db.transaction(storeName, 'readwrite');
+                    const store = tx.objectStore(storeName);
+                    for (const x of records) {
+                        if (store.keyPath) {
+                            store.put(x);
+                        } else {
+                            store.put(x, x.id);
+                        }
+                    }
+                    tx.onerror = ev => reject(ev.target.error);
+                    tx.onabort = ev => reject(tx.error);
+                    tx.oncomplete = ev => resolve();
+                });
+            } finally {
+                db.close();  // Called often; don't leave connections behind.
+            }
+        }
+    };
+
     ns.dbStoreNames = async function(dbId) {
         if (F.managedConfig) {
             return await F.parentRPC.invokeCommand(`db-gateway-object-store-names-${dbId}`);
@@ -8,6 +8,9 @@
         cellular: 128 * 1024,
         normal: 1 * 1024 * 1024
     };
+    const pdfThumbWidth = 240;
+    const waveformSize = 64;
+    const playbackRates = [1, 1.5, 2];
 
     const AttachmentItemView = F.View.extend({
 
@@ -228,6 +231,172 @@
     });
 
 
+    const AudioView = AttachmentItemView.extend({
+
+        events: Object.assign({
+            'click .f-audio-play': 'onPlayClick',
+            'click .f-audio-rate': 'onRateClick',
+            'pointerdown .f-waveform': 'onScrub',
+            'pointermove .f-waveform': 'onScrub',
+        }, AttachmentItemView.prototype.events),
+
+        render_attributes: async function() {
+            return Object.assign({
+                isPreviewable: true,
+                playbackRate: this.playbackRate || 1
+            }, await AttachmentItemView.prototype.render_attributes.call(this));
+        },
+
+        render: async function() {
+            if (this.attachment.data && !this.attachment.waveform) {
+                await this.computeWaveform();
+            }
+            await AttachmentItemView.prototype.render.call(this);
+            const audio = this.$('audio')[0];
+            if (audio && audio !== this.audio) {
+                this.audio = audio;
+                audio.playbackRate = this.playbackRate || 1;
+                $(audio).on('timeupdate play pause ended loadedmetadata', () => this.renderProgress());
+            }
+            // Canvas sizing needs layout, which happens after we are attached.
+            F.util.animationFrame().then(() => this.renderProgress());
+            return this;
+        },
+
+        computeWaveform: async function() {
+            /* Voice memos carry a waveform from the sender; other audio is decoded once
+             * and the result is stored with the attachment. */
+            let buffer;
+            try {
+                const ctx = new OfflineAudioContext(1, 1, 44100);
+                buffer = await ctx.decodeAudioData(this.attachment.data.slice(0));
+            } catch(e) {
+                console.warn("Unable to decode audio for waveform:", e);
+                return;
+            }
+            const samples = buffer.getChannelData(0);
+            const step = Math.ceil(samples.length / waveformSize);
+            const peaks = [];
+            for (let i = 0; i < waveformSize; i++) {
+                let peak = 0;
+                for (let j = i * step; j < Math.min((i + 1) * step, samples.length); j++) {
+                    peak = Math.max(peak, Math.abs(samples[j]));
+                }
+                peaks.push(peak);
+            }
+            const max = Math.max(...peaks) || 1;
+            this.attachment.waveform = peaks.map(x => Math.round(x / max * 100));
+            this.attachment.duration = this.attachment.duration || buffer.duration;
+            if (this.message && this.message.id) {
+                await this.message.save({attachments: this.message.get('attachments')},
+                                        {skipSearchIndexes: true});
+            }
+        },
+
+        getDuration: function() {
+            // MediaRecorder output often lacks a duration header, so prefer our metadata.
+            if (this.attachment.duration) {
+                return this.attachment.duration;
+            }
+            return this.audio && isFinite(this.audio.duration) ? this.audio.duration : 0;
+        },
+
+        renderProgress: function() {
+            const canvas = this.$('.f-waveform canvas')[0];
+            if (!canvas || !this.audio) {
+                return;
+            }
+            const duration = this.getDuration();
+            const current = this.audio.currentTime;
+            const progress = duration ? Math.min(current / duration, 1) : 0;
+            const playing = !this.audio.paused && !this.audio.ended;
+            this.$('.f-audio-play i').attr('class', `icon ${playing ? 'pause' : 'play'}`);
+            this.$('.f-audio-time').text(F.tpl.help.duration(playing || current ? current : duration));
+            const ratio = self.devicePixelRatio || 1;
+            const width = canvas.clientWidth * ratio;
+            const height = canvas.clientHeight * ratio;
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, width, height);
+            const waveform = this.attachment.waveform || [];
+            const bars = waveform.length || waveformSize;
+            const barWidth = width / bars;
+            for (let i = 0; i < bars; i++) {
+                const level = Math.max(waveform[i] || 0, 4) / 100;
+                const barHeight = Math.max(level * height, ratio);
+                ctx.fillStyle = (i + 0.5) / bars <= progress ? '#2185d0' : '#bbb';
+                ctx.fillRect(i * barWidth + barWidth * 0.15, (height - barHeight) / 2,
+                             barWidth * 0.7, barHeight);
+            }
+        },
+
+        onPlayClick: async function() {
+            if (this.audio.paused || this.audio.ended) {
+                await this.audio.play();
+            } else {
+                this.audio.pause();
+            }
+        },
+
+        onRateClick: function(ev) {
+            const idx = playbackRates.indexOf(this.playbackRate || 1);
+            this.playbackRate = playbackRates[(idx + 1) % playbackRates.length];
+            this.audio.playbackRate = this.playbackRate;
+            $(ev.currentTarget).text(`${this.playbackRate}x`);
+        },
+
+        onScrub: function(ev) {
+            if (ev.type === 'pointermove' && !(ev.buttons & 1)) {
+                return;
+            }
+            const duration = this.getDuration();
+            if (!duration || !this.audio) {
+                return;
+            }
+            const rect = ev.currentTarget.getBoundingClientRect();
+            const offset = Math.min(Math.max(ev.clientX - rect.left, 0), rect.width);
+            this.audio.currentTime = offset / rect.width * duration;
+            this.renderProgress();
+        }
+    });
+
+
+    const PDFView = AttachmentItemView.extend({
+
+        events: Object.assign({
+            'click .f-pdf-thumb': 'onThumbClick',
+        }, AttachmentItemView.prototype.events),
+
+        render_attributes: async function() {
+            return Object.assign({
+                isPreviewable: true,
+                isPDF: true
+            }, await AttachmentItemView.prototype.render_attributes.call(this));
+        },
+
+        render: async function() {
+            await AttachmentItemView.prototype.render.call(this);
+            const canvas = this.$('canvas.f-pdf-thumb')[0];
+            if (canvas && canvas !== this._thumbCanvas) {
+                await F.PDFViewerView.renderThumbnail(this.attachment.data, canvas, pdfThumbWidth);
+                this._thumbCanvas = canvas;
+            }
+            return this;
+        },
+
+        onThumbClick: async function() {
+            const viewer = new F.PDFViewerView({
+                attachment: this.attachment,
+                onDownload: () => this.saveFile()
+            });
+            await viewer.show();
+        }
+    });
+
+
     F.AttachmentView = Backbone.View.extend({
         className: 'attachment',
 
@@ -238,9 +407,9 @@
             const fileType = parts[1];
             const View = {
                 image: ImageView,
-                audio: MediaView,
+                audio: AudioView,
                 video: MediaView
-            }[contentType] || FileView;
+            }[contentType] || (attachment.type === 'application/pdf' && PDFView) || FileView;
             const message = options.message;
             this.itemView = new View({attachment, message, contentType, fileType});
         },
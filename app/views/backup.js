@@ -0,0 +1,144 @@
+// vim: ts=4:sw=4:expandtab
+/* global moment */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    const logger = F.log.getLogger('views.backup');
+
+    const minPassphraseLength = 8;
+
+
+    F.BackupView = F.ModalView.extend({
+
+        contentTemplate: 'views/backup.html',
+        extraClass: 'f-backup',
+        size: 'tiny',
+        icon: 'lock',
+        header: 'Create Encrypted Backup',
+        allowMultiple: true,
+        actions: [{
+            label: 'Cancel',
+            class: 'deny'
+        }, {
+            label: 'Create Backup',
+            class: 'f-create primary'
+        }],
+
+        events: {
+            'click .actions .f-create': 'onCreateClick'
+        },
+
+        render: async function() {
+            await F.ModalView.prototype.render.apply(this, arguments);
+            this.$('.ui.checkbox').checkbox();
+            return this;
+        },
+
+        showError: function(message) {
+            this.$('.f-error').removeClass('hidden').find('.content').text(message);
+        },
+
+        onCreateClick: async function(ev) {
+            const $button = $(ev.currentTarget);
+            if ($button.hasClass('loading')) {
+                return;
+            }
+            const passphrase = this.$('input[name="passphrase"]').val();
+            const confirm = this.$('input[name="confirm"]').val();
+            this.$('.f-error').addClass('hidden');
+            if (passphrase.length < minPassphraseLength) {
+                this.showError(`Passphrase must be at least ${minPassphraseLength} characters.`);
+                return;
+            }
+            if (passphrase !== confirm) {
+                this.showError('Passphrases do not match.');
+                return;
+            }
+            const $progress = this.$('.ui.progress');
+            $button.addClass('loading disabled');
+            this.$('.ui.form').addClass('disabled');
+            $progress.removeClass('hidden').progress({percent: 0});
+            let blob;
+            try {
+                blob = await F.backup.create(passphrase, {
+                    attachments: this.$('input[name="attachments"]').is(':checked'),
+                    onProgress: (store, value, total) => {
+                        $progress.progress({
+                            value,
+                            total: Math.max(value, total, 1),
+                            text: {active: `{value} of {total} ${store}`}
+                        });
+                    }
+                });
+            } catch(e) {
+                this.showError(e.message);
+                return;
+            } finally {
+                $button.removeClass('loading disabled');
+                this.$('.ui.form').removeClass('disabled');
+            }
+            F.backup.download(blob);
+            await F.state.put('lastBackup', Date.now());
+            this.hide();
+        }
+    });
+
+
+    F.RestoreBackupView = F.ModalView.extend({
+
+        contentTemplate: 'views/restore-backup.html',
+        extraClass: 'f-restore-backup',
+        size: 'tiny',
+        icon: 'history',
+        header: 'Restore From Backup',
+        allowMultiple: true,
+        actions: [{
+            label: 'Cancel',
+            class: 'deny'
+        }, {
+            label: 'Open Backup',
+            class: 'f-open primary'
+        }],
+
+        events: {
+            'click .actions .f-open': 'onOpenClick'
+        },
+
+        initialize: function() {
+            F.ModalView.prototype.initialize.apply(this, arguments);
+            this.opened = new Promise(resolve => {
+                this.on('hide', () => resolve(this.backup));
+            });
+        },
+
+        onOpenClick: async function(ev) {
+            const $button = $(ev.currentTarget);
+            if ($button.hasClass('loading')) {
+                return;
+            }
+            const file = this.$('input[name="file"]')[0].files[0];
+            const passphrase = this.$('input[name="passphrase"]').val();
+            const $error = this.$('.f-error').addClass('hidden');
+            if (!file || !passphrase) {
+                $error.removeClass('hidden').find('.content')
+                    .text('Choose a backup file and enter its passphrase.');
+                return;
+            }
+            $button.addClass('loading disabled');
+            try {
+                this.backup = await F.backup.open(file, passphrase);
+            } catch(e) {
+                $error.removeClass('hidden').find('.content').text(e.message);
+                return;
+            } finally {
+                $button.removeClass('loading disabled');
+            }
+            const summary = F.backup.summarize(this.backup);
+            logger.info("Opened backup from", moment(summary.created).format(), summary.counts);
+            this.hide();
+        }
+    });
+})();
@@ -2284,4 +2284,6 @@
             }
         }
     }
+
+    F.SoundMeter = SoundMeter;  // Shared with voice memo recording.
 })();
@@ -1,4 +1,5 @@
 // vim: ts=4:sw=4:expandtab
+/* global moment MediaRecorder */
 
 (function () {
     'use strict';
@@ -15,6 +16,10 @@
     const allMetaTag = '@ALL';
     const zeroWidthSpace = '\u200b';
     const noBreakSpace = '\u00a0';
+    const typingRefresh = 5000;
+    const typingIdle = 6000;
+    const voiceMemoLimit = 5 * 60 * 1000;
+    const waveformSize = 64;
 
     if (!('isConnected' in self.Node.prototype)) {
         Object.defineProperty(self.Node.prototype, 'isConnected', {
@@ -25,6 +30,58 @@
     }
 
 
+    class VoiceMemoRecorder {
+        /* Record a microphone stream while sampling its levels for a waveform. */
+
+        constructor(stream, onLevel) {
+            this.stream = stream;
+            this.chunks = [];
+            this.levels = [];
+            this.recorder = new MediaRecorder(stream);
+            this.recorder.addEventListener('dataavailable', ev => this.chunks.push(ev.data));
+            this.stopped = new Promise(resolve => this.recorder.addEventListener('stop', resolve));
+            this.meter = new F.SoundMeter(stream, levels => {
+                const level = Math.min(1, Math.max(0, (levels.dBV + 60) / 60));
+                this.levels.push(level);
+                onLevel(level);
+            });
+            this.recorder.start();
+            this.started = Date.now();
+        }
+
+        elapsed() {
+            return Date.now() - this.started;
+        }
+
+        async stop() {
+            const duration = this.elapsed() / 1000;
+            this.meter.disconnect();
+            this.recorder.stop();
+            await this.stopped;
+            for (const track of this.stream.getTracks()) {
+                track.stop();
+            }
+            const type = (this.recorder.mimeType || 'audio/webm').split(';')[0];
+            const name = `Voice Memo ${moment().format('YYYY-MM-DD HH.mm.ss')}.${type.split('/')[1]}`;
+            const file = new File(this.chunks, name, {type});
+            file.duration = duration;
+            file.waveform = this.getWaveform();
+            return file;
+        }
+
+        getWaveform() {
+            /* Reduce our level samples to peak values (0-100) for a fixed number of bars. */
+            const waveform = [];
+            const step = this.levels.length / waveformSize;
+            for (let i = 0; i < waveformSize; i++) {
+                const bucket = this.levels.slice(Math.floor(i * step), Math.ceil((i + 1) * step));
+                waveform.push(Math.round(Math.max(0, ...bucket) * 100));
+            }
+            return waveform;
+        }
+    }
+
+
     F.ComposeView = F.View.extend({
 
         template: 'views/compose.html',
@@ -33,12 +90,18 @@
             'click .f-send-action': 'onSendClick',
             'click .f-call-action': 'onCallClick',
             'click .f-attach-action': 'onAttachClick',
+            'click .f-voice-action': 'onVoiceClick',
+            'click .f-location-action': 'onLocationClick',
+            'click .f-voice-recorder .f-voice-stop': 'onVoiceStopClick',
+            'click .f-voice-recorder .f-voice-cancel': 'onVoiceCancelClick',
             'click .f-giphy-action': 'onGiphyClick',
             'click .f-emoji-action': 'onEmojiClick',
             'click .f-message': 'captureSelection',
             'click .f-actions': 'redirectPlaceholderFocus',
             'click .f-giphy .remove.icon': 'onCloseGiphyClick',
             'click .f-emoji .remove.icon': 'onCloseEmojiClick',
+            'click .f-trust-hold .f-approve': 'onTrustApproveClick',
+            'click .f-trust-hold .f-discard': 'onTrustDiscardClick',
             'input .f-message': 'onComposeInput',
             'input .f-giphy input[name="giphy-search"]': 'onGiphyInputDebounced',
             'input .f-emoji input[name="emoji-search"]': 'onEmojiInputDebounced',
@@ -59,7 +122,14 @@
             this.fileInput.on('add', this.refresh.bind(this));
             this.fileInput.on('remove', this.refresh.bind(this));
             this.listenTo(this.model, 'change:left change:blocked', this.render);
+            this.listenTo(this.model, 'change:pendingSends change:strictTrust', this.refreshTrustHold);
             this.threadView = options.threadView;
+            if (!this.threadView.disableDrafts) {
+                this.saveDraftDebounced = _.debounce(this.saveDraft, 1000);
+                this.fileInput.on('add remove', this.onFilesChange.bind(this));
+                this.listenTo(this.model, 'draftsync', this.onDraftSync);
+                this.listenTo(this.model, 'closed', () => F.sync.flushDrafts());
+            }
             F.assert(!(this.commandsWhitelist && this.commandsBlacklist));
             this.commandsWhitelist = options.commandsWhitelist;
             this.commandsBlacklist = options.commandsBlacklist;
@@ -71,6 +141,8 @@
                 allowCalling: this.threadView.allowCalling,
                 forceScreenSharing: this.threadView.forceScreenSharing,
                 disableRecipientsPrompt: this.threadView.disableRecipientsPrompt,
+                canRecordVoice: !!(self.MediaRecorder && F.SoundMeter && navigator.mediaDevices),
+                canShareLocation: !!(F.ShareLocationView && F.location.isSupported()),
             }, await F.View.prototype.render_attributes.apply(this, arguments));
         },
 
@@ -84,9 +156,58 @@
             this.$sendButton = this.$('.f-send-action');
             this.$thread = this.$el.closest('.f-thread-view');
             this.$('[data-html]').popup({on: 'click'});
+            this.refreshTrustHold();  // bg okay
+            if (!this._draftLoaded && !this.threadView.disableDrafts) {
+                this._draftLoaded = true;
+                const draft = await F.Draft.load(this.model.id);
+                if (draft && !draft.isEmpty()) {
+                    await this.applyDraft(draft);
+                }
+            }
             return this;
         },
 
+        applyDraft: async function(draft) {
+            this._applyingDraft = true;
+            try {
+                this.msgInput.innerHTML = draft.get('html') || '';
+                this.fileInput.removeFiles();
+                await this.fileInput.addFiles(await draft.getFiles());
+            } finally {
+                this._applyingDraft = false;
+            }
+            this._draftAttachments = draft.get('attachments');
+            this.refresh();
+        },
+
+        saveDraft: async function() {
+            if (this._applyingDraft) {
+                return;
+            }
+            const html = this.msgInput.innerHTML === '<br>' ? '' : this.msgInput.innerHTML;
+            if (!this._draftAttachments) {
+                this._draftAttachments = await this.fileInput.getFiles();
+            }
+            const draft = await F.Draft.store(this.model, html, this._draftAttachments);
+            if (draft) {
+                F.sync.pushDraft(draft);
+            }
+        },
+
+        onFilesChange: function() {
+            if (!this._applyingDraft) {
+                this._draftAttachments = null;
+                this.saveDraftDebounced();
+            }
+        },
+
+        onDraftSync: async function(draft) {
+            /* Only take a draft from our other devices if we aren't working on one. */
+            if (this.msgInput && !this.msgInput.innerHTML && !this.fileInput.hasFiles()) {
+                await this.applyDraft(draft);
+            }
+        },
+
         captureSelection() {
             /* Manually copy the current selection range. (rangeClone is untrustable) */
             const selection = getSelection();
@@ -190,6 +311,9 @@
 
         messageBlur: function() {
             this.$el.removeClass('focused');
+            if (!this.threadView.disableDrafts) {
+                F.sync.flushDrafts();
+            }
         },
 
         onSendClick: function(ev) {
@@ -324,6 +448,12 @@
                 clearTimeout(this._sendPendingMessageId);
                 this._sendPendingMessageId = null;
             }
+            this.sendTypingStop();  // bg okay
+            if (this.saveDraftDebounced) {
+                this.saveDraftDebounced.cancel();
+                this._draftAttachments = null;
+                this.saveDraft();  // bg okay
+            }
             if (this.completer) {
                 this.completer.remove();
             }
@@ -354,6 +484,68 @@
             }
         },
 
+        refreshTrustHold: async function() {
+            /* Show members that need re-verification under the strict trust policy
+             * along with any messages being held for them. */
+            if (!F.trustPolicy) {
+                return;
+            }
+            const pending = this.model.get('pendingSends') || [];
+            const strict = await F.trustPolicy.isStrict(this.model);
+            const changed = strict || pending.length ?
+                await F.trustPolicy.getChangedMembers(this.model) : [];
+            const $hold = this.$('.f-trust-hold');
+            if (!changed.length && !pending.length) {
+                $hold.addClass('hidden').empty();
+                return;
+            }
+            if (!this._trustHoldTemplate) {
+                this._trustHoldTemplate = await F.tpl.fetch(F.urls.templates +
+                                                            'views/compose-trust-hold.html');
+            }
+            $hold.html(this._trustHoldTemplate({
+                changed: changed.map(x => ({
+                    id: x.id,
+                    name: x.getName(),
+                    tagSlug: x.getTagSlug()
+                })),
+                pendingCount: pending.length,
+                failedCount: pending.filter(x => x.failed).length
+            })).removeClass('hidden');
+        },
+
+        onTrustApproveClick: async function(ev) {
+            const changed = await F.trustPolicy.getChangedMembers(this.model);
+            if (changed.length) {
+                const confirmed = await F.util.confirmModal({
+                    header: 'Approve Changed Identities?',
+                    icon: 'spy red',
+                    size: 'tiny',
+                    content: `The identity keys for ${changed.map(x => x.getTagSlug()).join(', ')} ` +
+                             `have changed since you trusted them.  Only approve if you have ` +
+                             `confirmed the change with them directly.`,
+                    confirmLabel: 'Approve and Send',
+                    confirmClass: 'yellow',
+                    confirmIcon: 'handshake'
+                });
+                if (!confirmed) {
+                    return;
+                }
+            }
+            const $button = $(ev.currentTarget).addClass('loading disabled');
+            try {
+                await F.trustPolicy.approve(this.model);
+            } finally {
+                $button.removeClass('loading disabled');
+            }
+            await this.refreshTrustHold();
+        },
+
+        onTrustDiscardClick: async function() {
+            await this.model.discardPendingSends();
+            await this.refreshTrustHold();
+        },
+
         setLoading: function(loading) {
             this.$sendButton.toggleClass('loading circle notched', loading);
             this.$('.f-holder').toggleClass('disabled', loading);
@@ -369,6 +561,70 @@
             this.fileInput.openFileChooser();
         },
 
+        onLocationClick: async function() {
+            await (new F.ShareLocationView({thread: this.model})).show();
+        },
+
+        onVoiceClick: async function() {
+            if (this.voiceRecorder) {
+                return;
+            }
+            let stream;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({audio: true});
+            } catch(e) {
+                await F.util.promptModal({
+                    size: 'tiny',
+                    icon: 'red microphone slash',
+                    header: 'Microphone Unavailable',
+                    content: `Unable to record audio: ${e.message}`
+                });
+                return;
+            }
+            const $recorder = this.$('.f-voice-recorder');
+            const $level = $recorder.find('.f-voice-level > div');
+            const $elapsed = $recorder.find('.f-voice-elapsed');
+            this.voiceRecorder = new VoiceMemoRecorder(stream, level => {
+                $level.css('width', `${Math.round(level * 100)}%`);
+            });
+            $elapsed.text('0:00');
+            $recorder.addClass('visible');
+            this._voiceTimer = setInterval(() => {
+                const elapsed = this.voiceRecorder.elapsed();
+                $elapsed.text(F.tpl.help.duration(elapsed / 1000));
+                if (elapsed >= voiceMemoLimit) {
+                    this.finishVoiceMemo(/*save*/ true);  // bg okay
+                }
+            }, 250);
+        },
+
+        onVoiceStopClick: async function() {
+            await this.finishVoiceMemo(/*save*/ true);
+        },
+
+        onVoiceCancelClick: async function() {
+            await this.finishVoiceMemo(/*save*/ false);
+        },
+
+        remove: function() {
+            this.finishVoiceMemo(/*save*/ false);  // bg okay
+            return F.View.prototype.remove.apply(this, arguments);
+        },
+
+        finishVoiceMemo: async function(save) {
+            const recorder = this.voiceRecorder;
+            if (!recorder) {
+                return;
+            }
+            this.voiceRecorder = null;
+            clearInterval(this._voiceTimer);
+            this.$('.f-voice-recorder').removeClass('visible');
+            const file = await recorder.stop();
+            if (save) {
+                await this.fileInput.addFile(file);
+            }
+        },
+
         onEmojiClick: async function(ev) {
             await this.emojiPicker.render();
             this.$('.f-emoji').addClass('visible');
@@ -463,9 +719,51 @@
                     this._sendPendingMessageId = null;
                 }, delay);
             }
+            if (this.saveDraftDebounced) {
+                this.saveDraftDebounced();
+            }
+            if (this.msgInput.innerHTML) {
+                this.sendTypingStart();  // bg okay
+            } else {
+                this.sendTypingStop();  // bg okay
+            }
             requestAnimationFrame(() => this.onAfterComposeInput(altered));
         },
 
+        sendTypingStart: async function() {
+            /* Throttled typing start control.  A stop control follows once the input
+             * has been idle for a short while. */
+            clearTimeout(this._typingIdleId);
+            this._typingIdleId = setTimeout(this.sendTypingStop.bind(this), typingIdle);
+            const now = Date.now();
+            if (this._typingStarted && now - this._typingStarted < typingRefresh) {
+                return;
+            }
+            this._typingStarted = now;
+            if (await F.state.get('disableTypingIndicators')) {
+                return;
+            }
+            await this.model.sendControl({
+                control: 'typing',
+                typing: true
+            }, /*attachments*/ undefined, {excludeSelf: true});
+        },
+
+        sendTypingStop: async function() {
+            clearTimeout(this._typingIdleId);
+            if (!this._typingStarted) {
+                return;
+            }
+            this._typingStarted = null;
+            if (await F.state.get('disableTypingIndicators')) {
+                return;
+            }
+            await this.model.sendControl({
+                control: 'typing',
+                typing: false
+            }, /*attachments*/ undefined, {excludeSelf: true});
+        },
+
         onAfterComposeInput: async function(altered) {
             /* Run in anmiation frame context to get updated layout values. */
             this.refresh();
@@ -6,6 +6,9 @@
 
     self.F = self.F || {};
 
+    const maxFindResults = 500;
+
+
     F.ConversationView = F.ThreadView.extend({
         template: 'views/conversation.html',
 
@@ -20,12 +23,22 @@
             'dragover': 'onDragOver',
             'dragenter': 'onDragEnter',
             'dragleave': 'onDragLeave',
+            'input .f-find-bar input': 'onFindInput',
+            'keydown .f-find-bar input': 'onFindKeyDown',
+            'click .f-find-bar .f-find-older': 'onFindOlderClick',
+            'click .f-find-bar .f-find-newer': 'onFindNewerClick',
+            'click .f-find-bar .f-find-close': 'hideFindBar',
         },
 
         initialize: function(options) {
             this.drag_bucket = new Set();
             this.onFocus = this._onFocus.bind(this);
             addEventListener('focus', this.onFocus);
+            this.onGlobalKeyDown = this._onGlobalKeyDown.bind(this);
+            addEventListener('keydown', this.onGlobalKeyDown);
+            this.onFindInput = _.debounce(this._onFindInput.bind(this), 300);
+            this.findQuery = '';
+            this.findMatches = [];
             this.allowCalling = options.allowCalling;
             this.forceScreenSharing = options.forceScreenSharing;
             this.disableCommands = options.disableCommands;
@@ -54,6 +67,7 @@
             this.$('.f-messages').prepend(this.messagesView.$el);
             this.messagesView.setScrollElement(this.$('.f-messages')[0]);
             this.listenTo(this.messagesView, 'loadmore', this.onLoadMore);
+            this.listenTo(this.messagesView, 'added', this.onMessageItemAdded);
             this.composeView = new F.ComposeView({
                 el: this.$('.f-compose'),
                 model: this.model,
@@ -70,6 +84,7 @@
             this.listenTo(this.model, 'expired', this.onExpired);
             this.listenTo(this.model, 'change:readMarks', this.onReadMarksChange);
             this.listenTo(this.model, 'pendingMessage', this.onPendingMessage);
+            this.listenTo(this.model, 'typing', this.onTyping);
             this.listenTo(this.model.messages, 'add', this.onAddMessage);
             this.listenTo(this.model.messages, 'add remove', this.onReadMarksChange);
             const loaded = this.model.messages.length;
@@ -84,6 +99,7 @@
 
         remove: function() {
             removeEventListener('focus', this.onFocus);
+            removeEventListener('keydown', this.onGlobalKeyDown);
             if (this.messagesView) {
                 this.messagesView.remove();
             }
@@ -239,6 +255,189 @@
             messageView.scrollRestore(ctx);
         },
 
+        showMessage: async function(message) {
+            /* Page back through history as needed to bring a message into view. */
+            if (!this.model.messages.get(message.id)) {
+                await this.model.messages.fetchToTimestamp(message.get('timestamp'));
+            }
+            const msgItem = await this.messagesView.waitAdded(message);
+            await msgItem.rendered;
+            this.messagesView.scrollIntoView(message, {block: 'center'});
+            msgItem.$el.transition('pulse');
+        },
+
+        _onGlobalKeyDown: function(ev) {
+            if ((ev.ctrlKey || ev.metaKey) && !ev.altKey && ev.key === 'f' && !this.isHidden()) {
+                ev.preventDefault();
+                this.showFindBar();
+            }
+        },
+
+        showFindBar: function() {
+            this.$('.f-find-bar').addClass('visible').find('input').select().focus();
+        },
+
+        hideFindBar: function() {
+            this.$('.f-find-bar').removeClass('visible').find('input').val('');
+            this.setFindQuery('');  // bg okay
+            this.focusMessageField();
+        },
+
+        _onFindInput: async function() {
+            await this.setFindQuery(this.$('.f-find-bar input').val());
+        },
+
+        onFindKeyDown: async function(ev) {
+            if (ev.key === 'Enter') {
+                ev.preventDefault();
+                await (ev.shiftKey ? this.stepFindMatch(-1) : this.stepFindMatch(1));
+            } else if (ev.key === 'Escape') {
+                ev.preventDefault();
+                this.hideFindBar();
+            }
+        },
+
+        onFindOlderClick: async function() {
+            await this.stepFindMatch(1);
+        },
+
+        onFindNewerClick: async function() {
+            await this.stepFindMatch(-1);
+        },
+
+        setFindQuery: async function(query) {
+            /* Find every message in this thread containing the query, newest first.
+             * Messages that aren't loaded yet are paged in as we step back to them. */
+            query = query.trim().toLowerCase().replace(/\s+/g, ' ');
+            if (query === this.findQuery) {
+                return;
+            }
+            this.findQuery = query;
+            this.findMatches = [];
+            this.findIndex = -1;
+            const $bar = this.$('.f-find-bar');
+            if (query.length > 1) {
+                $bar.find('.ui.input').addClass('loading');
+                const results = new F.MessageCollection();
+                try {
+                    await results.searchFetch([], {
+                        limit: maxFindResults,
+                        filter: x => !x.messageRef && x.type !== 'clientOnly' &&
+                                     (x.plain || '').toLowerCase().replace(/\s+/g, ' ')
+                                                    .indexOf(query) !== -1,
+                        scan: {
+                            index: 'threadId-timestamp',
+                            range: IDBKeyRange.bound([this.model.id], [this.model.id, Infinity]),
+                            direction: 'prev'
+                        }
+                    });
+                } finally {
+                    $bar.find('.ui.input').removeClass('loading');
+                }
+                if (query !== this.findQuery) {
+                    return;  // Superseded while searching.
+                }
+                this.findMatches = results.models;
+            }
+            this.highlightFindMatches();
+            await this.stepFindMatch(1);
+        },
+
+        stepFindMatch: async function(step) {
+            /* Positive steps go back in time to older matches. */
+            const count = this.findMatches.length;
+            const $bar = this.$('.f-find-bar');
+            $bar.toggleClass('error', this.findQuery.length > 1 && !count);
+            if (!count) {
+                this.findIndex = -1;
+                $bar.find('.f-find-count').text('');
+                $bar.find('.f-find-older, .f-find-newer').addClass('disabled');
+                return;
+            }
+            this.findIndex = Math.max(0, Math.min(count - 1, this.findIndex + step));
+            $bar.find('.f-find-count').text(`${this.findIndex + 1} of ${count}` +
+                                            (count === maxFindResults ? '+' : ''));
+            $bar.find('.f-find-older').toggleClass('disabled', this.findIndex === count - 1);
+            $bar.find('.f-find-newer').toggleClass('disabled', this.findIndex === 0);
+            const match = this.findMatches[this.findIndex];
+            let message = this.model.messages.get(match.id);
+            if (!message) {
+                const ctx = this.messagesView.scrollSave();
+                $bar.find('.ui.input').addClass('loading');
+                try {
+                    await this.model.messages.fetchToTimestamp(match.get('timestamp'));
+                } finally {
+                    $bar.find('.ui.input').removeClass('loading');
+                }
+                message = this.model.messages.get(match.id);
+                if (!message) {
+                    return;  // Removed while paging.
+                }
+                const item = await this.messagesView.waitAdded(message);
+                await item.rendered;
+                this.messagesView.scrollRestore(ctx);
+            }
+            this.$('.f-find-match.current').removeClass('current');
+            this.highlightFindMatches(this.messagesView.getItem(message));
+            this.messagesView.scrollIntoView(message, {block: 'center'});
+        },
+
+        highlightFindMatches: function(item) {
+            /* Wrap matching text of the rendered messages in <mark> tags.  With an item
+             * only that message is updated. */
+            const items = item ? [item] : this.messagesView.getItems();
+            const query = this.findQuery;
+            const ids = new Set(this.findMatches.map(x => x.id));
+            const current = this.findMatches[this.findIndex];
+            for (const x of items) {
+                const content = x.$('.f-message-content')[0];
+                if (!content) {
+                    continue;
+                }
+                for (const mark of content.querySelectorAll('mark.f-find-match')) {
+                    const parent = mark.parentNode;
+                    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+                    parent.normalize();
+                }
+                if (!query || !ids.has(x.model.id)) {
+                    continue;
+                }
+                const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT);
+                const nodes = [];
+                while (walker.nextNode()) {
+                    nodes.push(walker.currentNode);
+                }
+                for (let node of nodes) {
+                    let offt = node.data.toLowerCase().indexOf(query);
+                    while (offt !== -1) {
+                        const match = node.splitText(offt);
+                        node = match.splitText(query.length);
+                        const mark = document.createElement('mark');
+                        mark.className = 'f-find-match';
+                        if (current && current.id === x.model.id) {
+                            mark.classList.add('current');
+                        }
+                        match.parentNode.replaceChild(mark, match);
+                        mark.appendChild(match);
+                        offt = node.data.toLowerCase().indexOf(query);
+                    }
+                }
+                if (!this._findRenderListeners) {
+                    this._findRenderListeners = new WeakSet();
+                }
+                if (!this._findRenderListeners.has(x)) {
+                    this._findRenderListeners.add(x);
+                    this.listenTo(x, 'render', () => this.highlightFindMatches(x));
+                }
+            }
+        },
+
+        onMessageItemAdded: function(item) {
+            if (this.findQuery) {
+                this.highlightFindMatches(item);
+            }
+        },
+
         onExpired: function(message) {
             var mine = this.model.messages.get(message.id);
             // This is odd, Message gets its own expired event but it might have been
@@ -404,6 +603,25 @@
             $readMark.addClass('hidden');
         },
 
+        onTyping: async function(thread, userIds) {
+            const $typing = this.$('.f-typing');
+            if (!userIds.length) {
+                $typing.removeClass('active').empty();
+                return;
+            }
+            const users = await F.atlas.getContacts(userIds);
+            const names = users.filter(x => x).map(x => x.getName());
+            let text;
+            if (names.length === 1) {
+                text = `${names[0]} is typing...`;
+            } else if (names.length === 2) {
+                text = `${names[0]} and ${names[1]} are typing...`;
+            } else {
+                text = `${names.length} people are typing...`;
+            }
+            $typing.text(text).addClass('active');
+        },
+
         onAddMessage: async function(message) {
             const sender = message.get('sender');
             const $pendingActivity = this.$(`.f-pending > .activity[data-user-id="${sender}"]`);
@@ -0,0 +1,87 @@
+// vim: ts=4:sw=4:expandtab
+/* global moment */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    const progressLabels = {
+        messages: 'messages read',
+        attachments: 'attachments fetched'
+    };
+
+
+    F.ExportThreadView = F.ModalView.extend({
+
+        contentTemplate: 'views/export-thread.html',
+        extraClass: 'f-export-thread',
+        size: 'tiny',
+        icon: 'download',
+        header: 'Export Conversation',
+        actions: [{
+            label: 'Cancel',
+            class: 'deny'
+        }, {
+            label: 'Export',
+            class: 'f-export primary'
+        }],
+
+        events: {
+            'click .actions .f-export': 'onExportClick'
+        },
+
+        initialize: function() {
+            F.ModalView.prototype.initialize.apply(this, arguments);
+            this.on('hide', () => this.cancelled = true);
+        },
+
+        render: async function() {
+            await F.ModalView.prototype.render.apply(this, arguments);
+            this.$('.ui.checkbox').checkbox();
+            return this;
+        },
+
+        onExportClick: async function(ev) {
+            const $button = $(ev.currentTarget);
+            if ($button.hasClass('loading')) {
+                return;
+            }
+            const format = this.$('input[name="format"]:checked').val();
+            const start = this.$('input[name="start"]').val();
+            const end = this.$('input[name="end"]').val();
+            const $progress = this.$('.ui.progress');
+            this.$('.f-error').addClass('hidden');
+            this.$('.ui.form').addClass('disabled');
+            $button.addClass('loading disabled');
+            $progress.removeClass('hidden').progress({percent: 0});
+            let result;
+            try {
+                result = await F.exporter.exportThread(this.model, {
+                    format,
+                    start: start ? moment(start).startOf('day').valueOf() : undefined,
+                    end: end ? moment(end).endOf('day').valueOf() : undefined,
+                    onProgress: (stage, value, total) => {
+                        $progress.progress({
+                            value,
+                            total: Math.max(value, total, 1),
+                            text: {active: `{value} of {total} ${progressLabels[stage]}`}
+                        });
+                        return !this.cancelled;
+                    }
+                });
+            } catch(e) {
+                this.$('.f-error').removeClass('hidden').find('.content').text(e.message);
+                return;
+            } finally {
+                $button.removeClass('loading disabled');
+                this.$('.ui.form').removeClass('disabled');
+            }
+            if (result && !this.cancelled) {
+                F.util.reportUsageEvent('Thread', 'export', format);
+                F.exporter.download(result.blob, result.filename);
+                this.hide();
+            }
+        }
+    });
+})();
@@ -124,7 +124,9 @@
                         type: file.type,
                         size: file.size,
                         name: file.name,
-                        mtime: file.lastModified
+                        mtime: file.lastModified,
+                        duration: file.duration,
+                        waveform: file.waveform
                     });
                 };
                 FR.readAsArrayBuffer(file);
@@ -6,10 +6,6 @@
 
     self.F = self.F || {};
 
-    const searchFromRe = /from:\s?"(.*?)"|from:\s?'(.*?)'|from:\s?([^\s]+)/i;
-    const searchToRe = /to:\s?"(.*?)"|to:\s?'(.*?)'|to:\s?([^\s]+)/i;
-
-
     F.HeaderView = F.View.extend({
         template: 'views/header.html',
 
@@ -36,7 +32,8 @@
             'click .f-toc-menu .link': 'onLinkClick',
             'click .f-toc-menu a': 'onLinkClick',
             'click .f-search .ui.input .icon': 'onSearchClick',
-            'blur .f-search .ui.input': 'onSearchBlur'
+            'blur .f-search .ui.input': 'onSearchBlur',
+            'click .f-search .f-search-filter .delete.icon': 'onSearchFilterRemove'
         },
 
         render_attributes: async function() {
@@ -139,35 +136,28 @@
         _onSearchQuery: async function(query) {
             const fetchTemplate = F.tpl.fetch(F.urls.templates + 'util/search-results.html');
             const msgResults = this.messageSearchResults;
-            const fromMatch = searchFromRe.exec(query);
-            const criteria = [];
-            if (fromMatch) {
-                query = query.substr(0, fromMatch.index) +
-                        query.substr(fromMatch.index + fromMatch[0].length);
-                criteria.push({
-                    index: 'from-ngrams',
-                    criteria: fromMatch.slice(1).filter(x => x)[0]
-                });
-            }
-            const toMatch = searchToRe.exec(query);
-            if (toMatch) {
-                query = query.substr(0, toMatch.index) +
-                        query.substr(toMatch.index + toMatch[0].length);
-                criteria.push({
-                    index: 'to-ngrams',
-                    criteria: toMatch.slice(1).filter(x => x)[0]
+            const parsed = F.search.parseQuery(query);
+            this.searchTerms = parsed.terms;
+            const criteria = F.search.getIndexCriteria(parsed);
+            const range = F.search.getDateRange(parsed);
+            const matcher = F.search.buildMessageMatcher(parsed);
+            console.debug("Search criteria:", criteria, parsed.clauses);
+            const searchJob = range === null || !parsed.clauses.length ?
+                msgResults.reset() :
+                msgResults.searchFetch(criteria, {
+                    filter: x => x.threadId && F.foundation.allThreads.get(x.threadId) && matcher(x),
+                    scan: {index: 'sent', range, direction: 'prev'}
                 });
-            }
-            const queryWords = query.split(/\s+/).map(x => x.toLowerCase()).filter(x => x);
-            criteria.push({
-                index: 'body-ngrams',
-                criteria: query
-            });
-            console.debug("Search criteria:", criteria);
-            const searchJob = msgResults.searchFetch(criteria, {
-                sort: (a, b) => (b.timestamp || 0) - (a.timestamp || 0),
-                filter: x => x.threadId && F.foundation.allThreads.get(x.threadId)
-            });
+            const filters = parsed.terms.filter(x => x.key !== 'text').map(x => ({
+                index: parsed.terms.indexOf(x),
+                label: F.search.describeTerm(x),
+                negate: x.negate,
+                invalid: x.invalid
+            }));
+
+            /* Contacts and threads are only matched by the required words of the query. */
+            const queryWords = parsed.clauses.filter(x => x.length === 1 && x[0].key === 'text' &&
+                                                          !x[0].negate).map(([x]) => x.value);
 
             /* Look for near perfect contact matches. */
             const contactResults = queryWords.length ? F.foundation.getContacts().filter(c => {
@@ -186,7 +176,8 @@
             }) : [];
 
             await searchJob;
-            if (!msgResults.length && !contactResults.length && !threadResults.length) {
+            if (!msgResults.length && !contactResults.length && !threadResults.length &&
+                !filters.length) {
                 this.uiSearch('display message', 'No matching messages or contacts found.', 'empty');
                 return;
             }
@@ -225,6 +216,7 @@
                 avatarProps: await t.getAvatar({nolink: true})
             })));
             this.uiSearch('add results', (await fetchTemplate)({
+                filters,
                 messages,
                 contacts,
                 threads
@@ -234,6 +226,13 @@
             });
         },
 
+        onSearchFilterRemove: function(ev) {
+            const term = this.searchTerms[ev.currentTarget.dataset.index];
+            const $input = this.$('.f-search input.prompt');
+            $input.val(F.search.removeTerm($input.val(), term)).focus();
+            this.uiSearch('query');
+        },
+
         onSearchSelect: function(result) {
             const [type, id] = result.split(':');
             if (type === 'MESSAGE') {
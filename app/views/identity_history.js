@@ -0,0 +1,114 @@
+// vim: ts=4:sw=4:expandtab
+/* global moment */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    const actionLabels = {
+        observed: 'Key change observed',
+        trusted: 'Trusted',
+        verified: 'Verified',
+        untrusted: 'Trust removed',
+        revoked: 'Verification revoked'
+    };
+
+    const viaLabels = {
+        'user-card': 'from the user card',
+        'identity-prompt': 'from the identity change prompt',
+        'quarantine-review': 'from the held message review',
+        'qr-code': 'by scanning a QR code',
+        'strict-trust-approval': 'by approving held messages'
+    };
+
+    const resultLabels = {
+        accepted: 'accepted automatically',
+        quarantined: 'incoming messages quarantined',
+        prompted: 'confirmation requested',
+        refused: 'refused by strict trust'
+    };
+
+
+    function encodeKey(key) {
+        return key ? btoa(String.fromCharCode.apply(null, key)) : undefined;
+    }
+
+    F.IdentityHistoryView = F.ModalView.extend({
+        /* Audit trail of identity key changes and trust decisions for a contact. */
+
+        contentTemplate: 'views/identity-history.html',
+        extraClass: 'f-identity-history',
+        size: 'small',
+        icon: 'history',
+        header: 'Identity History',
+        allowMultiple: true,
+        actions: [{
+            label: 'Export',
+            class: 'f-export'
+        }, {
+            label: 'Close',
+            class: 'approve'
+        }],
+
+        events: {
+            'click .actions .f-export': 'onExportClick'
+        },
+
+        render_attributes: async function() {
+            const history = await this.model.getIdentityHistory();
+            const events = [];
+            for (const x of history.models) {
+                const attrs = x.attributes;
+                const words = await this.model.getKeyWords(attrs.identityKey);
+                const thread = attrs.threadId && F.foundation.allThreads.get(attrs.threadId);
+                events.push({
+                    timestamp: attrs.timestamp,
+                    action: actionLabels[attrs.action] || attrs.action,
+                    via: viaLabels[attrs.via],
+                    result: resultLabels[attrs.result],
+                    direction: attrs.direction,
+                    device: attrs.device,
+                    observerDevice: attrs.observerDevice,
+                    threadId: attrs.threadId,
+                    threadTitle: thread && thread.getNormalizedTitle(/*text*/ true),
+                    keyWords: words && words.slice(0, 3).join(' ')
+                });
+            }
+            return Object.assign({
+                name: this.model.getName(),
+                events
+            }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
+        },
+
+        onExportClick: async function() {
+            const history = await this.model.getIdentityHistory();
+            const events = [];
+            for (const x of history.models) {
+                const words = await this.model.getKeyWords(x.get('identityKey'));
+                events.push(Object.assign({}, x.attributes, {
+                    time: new Date(x.get('timestamp')).toISOString(),
+                    identityKey: encodeKey(x.get('identityKey')),
+                    identityWords: words && words.slice(0, 9).join(' '),
+                    previousKey: encodeKey(x.get('previousKey')),
+                    proposedKey: encodeKey(x.get('proposedKey'))
+                }));
+            }
+            const json = JSON.stringify({
+                version: 1,
+                exported: new Date().toISOString(),
+                exportedBy: {
+                    userId: F.currentUser.id,
+                    device: F.currentDevice
+                },
+                userId: this.model.id,
+                tag: this.model.getTagSlug({full: true}),
+                events
+            }, null, 2);
+            const stamp = moment().format('YYYY-MM-DD');
+            const slug = (this.model.getTagSlug() || this.model.id).replace(/[^\w.-]+/g, '');
+            F.exporter.download(new Blob([json], {type: 'application/json'}),
+                                `Forsta_Identity_History_${slug}_${stamp}.json`);
+        }
+    });
+})();
@@ -58,7 +58,9 @@
             this.disableMessageInfo = options.listView.disableMessageInfo;
             this.disableSenderInfo = options.listView.disableSenderInfo;
             const listen = (events, cb) => this.listenTo(this.model, events, cb);
-            listen('change:html change:plain change:flags', this.render);
+            listen('change:html change:plain change:flags change:edited change:recalled', this.render);
+            listen('change:reactions change:unreadReplies', this.render);
+            listen('change:pollVotes change:pollTally change:pollClosed change:location', this.render);
             listen('change:expirationStart', this.renderExpiring);
             listen('expired', this.onExpired);
             this.listenTo(this.model.receipts, 'add remove', this.onReceipt);
@@ -71,9 +73,17 @@
             'click .f-status': 'onDetailsToggle',
             'click .f-display-toggle': 'onDisplayToggle',
             'click .f-reply': 'onReplyClick',
+            'click .f-replies': 'onRepliesClick',
+            'click .f-edit': 'onEditClick',
+            'click .f-forward': 'onForwardClick',
+            'click .f-edited': 'onEditedClick',
             'click .f-emoji-toggle': 'onEmojiToggle',
             'click .f-reply-send': 'onReplySendClick',
             'click .f-up-vote': 'onUpVoteClick',
+            'click .f-reaction': 'onReactionClick',
+            'click .f-poll-option': 'onPollOptionClick',
+            'click .f-poll-close': 'onPollCloseClick',
+            'click .f-location-stop': 'onLocationStopClick',
             'click video': 'onVideoClick',
             'click .f-video-wrap': 'onVideoClick',
             'click .f-message-actions .button': 'onActionClick',
@@ -103,7 +113,7 @@
                     avatar: await sender.getAvatar({nolink: this.disableSenderInfo})
                 }, reply.attributes);
             }));
-            replies.sort();
+            replies.reverse();  // Oldest first.
             let actions = this.model.get('actions');
             if (actions) {
                 actions = actions.map(x => Object.assign({
@@ -111,6 +121,9 @@
                 }, x));
             }
             return Object.assign(attrs, {
+                reactions: await this.getReactionSummary(),
+                poll: await this.getPollSummary(),
+                location: this.getLocationSummary(),
                 senderName,
                 mobile: this.getMobile(),
                 avatar,
@@ -118,11 +131,124 @@
                 replies,
                 safe_html: attrs.safe_html && F.emoji.replace_unified(attrs.safe_html),
                 actions,
+                canEdit: this.canEdit(),
+                canForward: this.canForward(),
                 disableMessageInfo: this.disableMessageInfo,
                 disableSenderInfo: this.disableSenderInfo
             });
         },
 
+        getReactionSummary: async function() {
+            const reactions = this.model.get('reactions') || {};
+            const byEmoji = new Map();
+            for (const [userId, x] of Object.entries(reactions)) {
+                for (const emoji of x.emojis) {
+                    if (!byEmoji.has(emoji)) {
+                        byEmoji.set(emoji, []);
+                    }
+                    byEmoji.get(emoji).push(userId);
+                }
+            }
+            return await Promise.all(Array.from(byEmoji.entries()).map(async ([emoji, userIds]) => {
+                const users = await F.atlas.getContacts(userIds);
+                return {
+                    emoji,
+                    count: userIds.length,
+                    mine: userIds.indexOf(F.currentUser.id) !== -1,
+                    names: users.filter(x => x).map(x => x.getName()).join(', ')
+                };
+            }));
+        },
+
+        getPollSummary: async function() {
+            const poll = this.model.get('poll');
+            if (!poll || !Array.isArray(poll.options) || this.model.get('recalled')) {
+                return;
+            }
+            const mine = this.model.getPollVote(F.currentUser.id);
+            const closed = this.model.isPollClosed();
+            // Only the creator of an anonymous poll has the votes; others use its tallies.
+            const tally = poll.anonymous && this.model.get('sender') !== F.currentUser.id ?
+                (this.model.get('pollTally') || {counts: [], voterCount: 0}) : this.model.getPollTally();
+            const pollVotes = this.model.get('pollVotes') || {};
+            const options = await Promise.all(poll.options.map(async (title, index) => {
+                const count = tally.counts[index] || 0;
+                const selected = mine.indexOf(index) !== -1;
+                let names;
+                if (!poll.anonymous && count) {
+                    const userIds = Object.keys(pollVotes).filter(x =>
+                        pollVotes[x].choices.indexOf(index) !== -1);
+                    const users = await F.atlas.getContacts(userIds);
+                    names = users.filter(x => x).map(x => x.getName()).join(', ');
+                }
+                return {
+                    index,
+                    title,
+                    selected,
+                    names,
+                    count,
+                    percent: tally.voterCount ? Math.round(count / tally.voterCount * 100) : 0,
+                    icon: poll.multiple ? (selected ? 'check square' : 'square outline') :
+                                          (selected ? 'dot circle' : 'circle outline')
+                };
+            }));
+            return {
+                question: poll.question,
+                multiple: poll.multiple,
+                anonymous: poll.anonymous,
+                closes: poll.closes,
+                closed,
+                options,
+                voterCount: tally.voterCount,
+                canClose: !closed && this.model.get('sender') === F.currentUser.id
+            };
+        },
+
+        getLocationSummary: function() {
+            const location = this.model.get('location');
+            if (!location || this.model.get('recalled')) {
+                return;
+            }
+            const latitude = Number(location.latitude);
+            const longitude = Number(location.longitude);
+            if (!isFinite(latitude) || !isFinite(longitude)) {
+                return;
+            }
+            const coords = `${latitude.toFixed(5)},${longitude.toFixed(5)}`;
+            const mapsKey = F.env.GOOGLE_MAPS_API_KEY;
+            const live = !!(location.liveUntil && location.liveUntil > Date.now());
+            return {
+                label: location.label,
+                coords,
+                accuracy: location.accuracy && Math.round(location.accuracy),
+                updated: this.model.get('locationUpdated'),
+                live,
+                liveUntil: location.liveUntil,
+                canStop: live && !!F.location && F.location.isLive(this.model.id),
+                mapURL: 'https://www.google.com/maps/search/' + F.util.urlQuery({api: 1, query: coords}),
+                imageURL: mapsKey && 'https://maps.googleapis.com/maps/api/staticmap' + F.util.urlQuery({
+                    center: coords,
+                    zoom: 15,
+                    size: '400x200',
+                    scale: 2,
+                    markers: coords,
+                    key: mapsKey
+                })
+            };
+        },
+
+        canEdit: function() {
+            return this.model.get('type') === 'content' &&
+                   this.model.get('sender') === F.currentUser.id &&
+                   !this.model.get('recalled');
+        },
+
+        canForward: function() {
+            return !!F.ThreadPickerView &&  // Not available in all app modes.
+                   this.model.get('type') === 'content' &&
+                   !this.model.get('recalled');
+        },
+
         getMobile: function() {
             const userAgent = this.model.get('userAgent') || '';
             if (userAgent.match(new RegExp(F.product))) {
@@ -149,15 +275,32 @@
             }
             this.renderEmbed();
             this.renderPlainEmoji();
+            this.renderReactions();
             this.renderExpiring();
             this.renderTags();
             this.regulateVideos();
             this.renderStatus();
             this.renderActions();
+            this.scheduleRefresh();
             await this.loadAttachments();
             return this;
         },
 
+        scheduleRefresh: function() {
+            /* Re-render when a poll closes or live location ends so the card is accurate. */
+            clearTimeout(this._refreshTimeout);
+            const poll = this.model.get('poll');
+            const location = this.model.get('location');
+            const deadlines = [
+                poll && !this.model.isPollClosed() && poll.closes,
+                location && location.liveUntil
+            ].filter(x => x && x > Date.now());
+            if (deadlines.length) {
+                const delay = Math.min(Math.min(...deadlines) - Date.now() + 1000, 0x7fffffff);
+                this._refreshTimeout = setTimeout(() => this.render(), delay);
+            }
+        },
+
         onReceipt: function(receipt) {
             this.renderStatus();
         },
@@ -268,6 +411,7 @@
         },
 
         remove: function() {
+            clearTimeout(this._refreshTimeout);
             if (this._detailsView) {
                 clearInterval(this._detailsView._refreshId);
                 this._detailsView.remove();
@@ -369,6 +513,12 @@
             }
         },
 
+        renderReactions: function() {
+            for (const el of this.$('.f-reaction-emoji')) {
+                el.innerHTML = F.emoji.replace_unified(el.textContent);
+            }
+        },
+
         renderExpiring: function() {
             new TimerView({
                 model: this.model,
@@ -476,6 +626,52 @@
             await this.render();
         },
 
+        onRepliesClick: async function(ev) {
+            const thread = await this.model.getThread();
+            thread.trigger('showReplies', this.model);
+        },
+
+        onEditClick: async function(ev) {
+            const p = F.util.formModal({
+                header: 'Edit Message',
+                icon: 'pencil',
+                size: 'tiny',
+                confirmLabel: 'Save',
+                fields: [{
+                    label: 'Message',
+                    name: 'plain'
+                }]
+            });
+            p.view.on('render', view => view.$('input[name="plain"]').val(this.model.get('plain')));
+            const data = await p;
+            if (data && data.plain && data.plain !== this.model.get('plain')) {
+                // Render the edit the same way the composer renders a new message.
+                const plain = F.emoji.colons_to_unicode(data.plain);
+                let safe_html = F.util.htmlSanitize(F.emoji.colons_to_unicode(_.escape(data.plain)),
+                                                    /*render_forstadown*/ true);
+                if (plain === safe_html) {
+                    safe_html = undefined;
+                }
+                const thread = await this.model.getThread();
+                await thread.editMessage(this.model, plain, safe_html);
+            }
+        },
+
+        onForwardClick: async function(ev) {
+            const thread = await (new F.ThreadPickerView()).pick({
+                header: 'Forward Message',
+                icon: 'share'
+            });
+            if (thread) {
+                await thread.forwardMessage(this.model);
+                await F.mainView.openThread(thread);
+            }
+        },
+
+        onEditedClick: async function(ev) {
+            await (new F.MessageRevisionsView({model: this.model})).show();
+        },
+
         onReplyClick: async function(ev) {
             const $el = this.$('.f-inline-reply');
             const isVisible = $el.toggleClass('visible').hasClass('visible');
@@ -501,7 +697,58 @@
         onEmojiSelect: async function(emoji) {
             const emojiCode = F.emoji.colons_to_unicode(`:${emoji.short_name}:`);
             this.emojiPopup.hide();
-            await this.sendReply(emojiCode);
+            this.$('.f-inline-reply').removeClass('visible');
+            await this.toggleReaction(emojiCode);
+        },
+
+        onReactionClick: async function(ev) {
+            await this.toggleReaction(ev.currentTarget.dataset.emoji);
+        },
+
+        toggleReaction: async function(emoji) {
+            const mine = new Set(this.model.getReactions(F.currentUser.id));
+            if (mine.has(emoji)) {
+                mine.delete(emoji);
+            } else {
+                mine.add(emoji);
+            }
+            const thread = await this.model.getThread();
+            await thread.sendReactions(this.model, Array.from(mine));
+        },
+
+        onPollOptionClick: async function(ev) {
+            if (this.model.isPollClosed()) {
+                return;
+            }
+            const index = Number(ev.currentTarget.dataset.index);
+            const mine = new Set(this.model.getPollVote(F.currentUser.id));
+            let choices;
+            if (mine.has(index)) {
+                mine.delete(index);
+                choices = Array.from(mine);
+            } else if (this.model.get('poll').multiple) {
+                choices = Array.from(mine.add(index));
+            } else {
+                choices = [index];
+            }
+            const thread = await this.model.getThread();
+            await thread.sendPollVote(this.model, choices);
+        },
+
+        onPollCloseClick: async function() {
+            if (await F.util.confirmModal({
+                header: 'Close Poll?',
+                icon: 'chart bar',
+                content: 'No more votes will be accepted once the poll is closed.',
+                confirmLabel: 'Close Poll'
+            })) {
+                const thread = await this.model.getThread();
+                await thread.closePoll(this.model);
+            }
+        },
+
+        onLocationStopClick: async function() {
+            await F.location.stopLive(this.model.id);
         },
 
         onReplySendClick: async function() {
@@ -543,6 +790,35 @@
     });
 
 
+    F.MessageRevisionsView = F.ModalView.extend({
+        contentTemplate: 'views/message-revisions.html',
+        size: 'small',
+        icon: 'history',
+        header: 'Edit History',
+
+        initialize: function() {
+            F.ModalView.prototype.initialize.apply(this, arguments);
+            this.listenTo(this.model, 'change:edited', this.render);
+        },
+
+        render_attributes: async function() {
+            const current = {
+                current: true,
+                plain: this.model.get('plain'),
+                safe_html: this.model.get('safe_html'),
+                timestamp: this.model.get('edited')
+            };
+            const revisions = Array.from(this.model.get('revisions') || []);
+            revisions.reverse();
+            return Object.assign({
+                revisions: [current].concat(revisions.map(x => Object.assign({
+                    original: !x.editId
+                }, x)))
+            }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
+        }
+    });
+
+
     F.MessageDetailsView = F.View.extend({
         template: 'views/message-details.html',
         class: 'f-message-details',
@@ -554,6 +830,7 @@
 
         events: {
             'click .f-purge': 'purgeMessage',
+            'click .f-recall': 'recallMessage',
             'click .f-copy': 'copyMessage'
         },
 
@@ -567,6 +844,20 @@
             }) && this.model.destroy();
         },
 
+        recallMessage: async function() {
+            if (await F.util.confirmModal({
+                icon: 'undo red',
+                header: "Recall this message?",
+                content: "The message and its attachments will be removed from every recipient " +
+                         "and all of your devices.  A notice of the recall will remain in the " +
+                         "thread.",
+                confirmClass: 'red',
+                confirmLabel: 'Recall'
+            })) {
+                await this.thread.recallMessage(this.model);
+            }
+        },
+
         copyMessage: function(ev) {
             const range = document.createRange();
             const $btn = this.$('.f-copy');
@@ -638,6 +929,9 @@
             return Object.assign({
                 typeIcon: typeIcons[this.model.get('type')] || 'help circle',
                 recipients,
+                canRecall: this.model.get('sender') === F.currentUser.id &&
+                           this.model.get('type') === 'content' &&
+                           !this.model.get('recalled'),
                 shortUserAgent: userAgent && userAgent.split(/\s/)[0],
                 mobile: !userAgent.match(new RegExp(F.product)),
                 expiresAt: Date.now() + this.model.msTilExpire()
@@ -869,12 +1163,12 @@
             this._scrollPin = false;
         },
 
-        scrollIntoView: function(model) {
+        scrollIntoView: function(model, options) {
             const item = this.getItem(model);
             this._scrollPin = false;
             this._scrollChanging = true;
             try {
-                item.el.scrollIntoView();
+                item.el.scrollIntoView(options);
             } finally {
                 F.util.animationFrame().then(() => {
                     this.scrollSave();
@@ -54,7 +54,9 @@
                 'lastMessage',
                 'timestamp',
                 'distribution',
-                'sent'
+                'sent',
+                'unreadReplyCount',
+                'hasDraft'
             ].map(x => 'change:' + x);
             this.debouncedUnreadCount = this.model.get('unreadCount');
             this.$dimmer = $('#f-nav-panel > .ui.dimmer');
@@ -69,6 +71,7 @@
             this.listenTo(this.model, 'change:unreadCount',
                           _.debounce(this.onUnreadCountChange.bind(this), 1000));
             this.listenTo(this.model, 'change:callActive', this.updateCallActiveIcon);
+            this.listenTo(this.model, 'typing', this.onTyping);
             this._onTouchStart = this.onTouchStart.bind(this);
             this._onTouchMove = this.onTouchMove.bind(this);
             this.el.addEventListener('touchstart', this._onTouchStart, {passive: true});
@@ -96,6 +99,7 @@
                 senderName,
                 debouncedUnreadCount: this.debouncedUnreadCount,
                 activeCall: this.isCallActive(),
+                typing: !!this.model.getTyping().length,
             }, F.View.prototype.render_attributes.apply(this, arguments));
         },
 
@@ -113,6 +117,10 @@
             return lastActivity && Date.now() - lastActivity < 60 * 1000;
         },
 
+        onTyping: function() {
+            this.$('.f-typing-dot').toggleClass('visible', !!this.model.getTyping().length);
+        },
+
         onUnreadCountChange: async function() {
             const unread = this.model.get('unreadCount');
             if (unread !== this.debouncedUnreadCount) {
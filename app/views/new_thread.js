@@ -384,14 +384,25 @@
                 return;
             }
             const isAnnouncement = this.$panel.find('input[name="threadType"]').val() === 'announcement';
-            const attrs = {
-                type: isAnnouncement ? 'announcement' : 'conversation'
-            };
-            const threads = F.foundation.allThreads;
             if (isAnnouncement) {
-                attrs.sender = F.currentUser.id;
-                return await F.mainView.openThread(await threads.make(expression, attrs));
+                const thread = await F.foundation.allThreads.make(expression, {
+                    type: 'announcement',
+                    sender: F.currentUser.id
+                });
+                return await F.mainView.openThread(thread);
             }
+            const thread = await this.pickThread(expression, 'conversation');
+            if (!thread) {
+                return thread;
+            }
+            return await F.mainView.openThread(thread);
+        },
+
+        pickThread: async function(expression, type) {
+            /* Find or make a thread for the expression.  If threads with the same
+             * distribution exist the user may choose to reuse one of them.  Returns
+             * false if the user backed out. */
+            const threads = F.foundation.allThreads;
             let dist;
             try {
                 dist = await threads.normalizeDistribution(expression);
@@ -407,11 +418,11 @@
                     throw e;
                 }
             }
-            const similar = threads.findByDistribution(dist.universal, attrs.type).reverse();
+            const similar = threads.findByDistribution(dist.universal, type).reverse();
             if (similar.length) {
                 const plural = similar.length > 1;
                 const items = await Promise.all(similar.map(async (x, i) =>
-                    `<div class="item" data-index="${i}" title="Click to reuse this ${attrs.type}.">` +
+                    `<div class="item" data-index="${i}" title="Click to reuse this ${type}.">` +
                         `<div class="content" style="max-width: 100%;">` +
                             `<div class="header">${x.getNormalizedTitle()}</div>` +
                             `<div class="description" ` +
@@ -424,33 +435,117 @@
                     `</div>`));
                 const modalPromise = F.util.confirmModal({
                     size: 'tiny',
-                    header: `Use existing ${attrs.type}?`,
+                    header: `Use existing ${type}?`,
                     content:
-                        `${similar.length} similar ${attrs.type}${plural ? 's were' : ' was'} found with ` +
+                        `${similar.length} similar ${type}${plural ? 's were' : ' was'} found with ` +
                         `the same distribution.  Select one of the following if you would like to reuse it...` +
                         `<div class="ui items link divided"
                               style="padding: 1em 1em 0; font-size: 0.8em;">` +
                             items.join('') +
                         `</div>`,
-                    confirmLabel: `Start a new ${attrs.type}`,
+                    confirmLabel: `Start a new ${type}`,
                     dismiss: false
                 });
-                let completed = false;
+                let chosen;
                 modalPromise.view.on('show', view => {
-                    view.$('.item').on('click', async ev => {
-                        const thread = similar[$(ev.currentTarget).data('index')];
-                        // Bump the timestamp given the interest level change.
-                        await thread.save({timestamp: Date.now()});
-                        await F.mainView.openThread(thread);
-                        completed = true;  // Indicates that we can close the new-thread widget.
+                    view.$('.item').on('click', ev => {
+                        chosen = similar[$(ev.currentTarget).data('index')];
                         view.hide();
                     });
                 });
                 if (!(await modalPromise)) {
-                    return completed;
+                    if (chosen) {
+                        // Bump the timestamp given the interest level change.
+                        await chosen.save({timestamp: Date.now()});
+                        return chosen;
+                    }
+                    return false;
                 }
             }
-            return await F.mainView.openThread(await threads.make(expression, attrs));
+            return await threads.make(expression, {type});
+        }
+    });
+
+
+    F.ThreadPickerView = F.NewThreadView.extend({
+        /* Reuses the distribution search of the new thread panel for choosing a
+         * thread inside a modal, e.g. when forwarding a message. */
+
+        template: 'views/thread-picker.html',
+        className: 'f-thread-picker',
+
+        initialize: function() {
+            this.tags = F.foundation.getTags();
+            this.contacts = F.foundation.getContacts();
+        },
+
+        render: async function() {
+            await F.View.prototype.render.call(this);
+            this.$panel = this.$el;
+            this.$dropdown = this.$('.f-start-dropdown');
+            this.$contactsMenu = this.$dropdown.find('.f-contacts.menu');
+            this.$tagsMenu = this.$dropdown.find('.f-tags.menu');
+            this.$searchInput = this.$('input[name="f-start-search"]');
+            this.$searchInput[0].addEventListener('keydown', this.onKeyDown.bind(this), true);
+            this.dropdown = this.$dropdown.dropdown.bind(this.$dropdown);
+            this.dropdown({
+                fullTextSearch: 'exact',
+                onChange: this.onSelectionChange.bind(this),
+                onHide: () => false, // Always active.
+                selector: {
+                    text: '.f-active-holder > .text',
+                    label: '.f-active-holder > .label',
+                    remove: '.f-active-holder > .label > .delete.icon',
+                },
+                delimiter: DELIM
+            });
+            await this.loadData();
+            return this;
+        },
+
+        adjustFAB: function() {
+            /* No FAB here; the modal's select button is always available. */
+        },
+
+        onCompleteClick: function() {
+            if (this.modal) {
+                this.modal.$el.modal('event approve');
+            }
+        },
+
+        pick: async function(options) {
+            /* Show the picker in a modal and resolve with the chosen thread (or
+             * undefined if cancelled). */
+            await this.render();
+            let expression;
+            this.modal = new F.ModalView(Object.assign({
+                size: 'small',
+                icon: 'comments',
+                header: 'Select Thread',
+                content: this.$el,
+                actions: [{
+                    class: 'deny',
+                    label: 'Cancel'
+                }, {
+                    class: 'approve primary',
+                    label: 'Select'
+                }],
+                modalOptions: {
+                    onApprove: () => {
+                        expression = this.getExpression();
+                    }
+                }
+            }, options));
+            const hidden = new Promise(resolve => this.modal.on('hidden', resolve));
+            await this.modal.show();
+            this.dropdown('show');
+            if (!F.util.isCoarsePointer()) {
+                this.dropdown('focusSearch');
+            }
+            await hidden;
+            if (expression) {
+                return await this.pickThread(expression, 'conversation') || undefined;
+            }
         }
     });
 })();
@@ -0,0 +1,230 @@
+// vim: ts=4:sw=4:expandtab
+/* global pdfjsLib */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    const zoomLevels = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+    const defaultZoom = 2;
+
+    let _workerConfigured;
+
+    function getDocument(data) {
+        if (!_workerConfigured) {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = F.util.versionedURL(F.urls.static +
+                                                                         'js/lib/pdf.worker.js');
+            _workerConfigured = true;
+        }
+        // The worker takes ownership of the buffer, so hand it a copy.
+        return pdfjsLib.getDocument({data: new Uint8Array(data.slice(0))}).promise;
+    }
+
+
+    F.PDFViewerView = F.ModalView.extend({
+
+        contentTemplate: 'views/pdf-viewer.html',
+        extraClass: 'f-pdf-viewer',
+        size: 'large',
+        icon: 'file pdf outline',
+        scrolling: false,
+        actions: [{
+            label: 'Download',
+            class: 'f-download'
+        }, {
+            label: 'Dismiss',
+            class: 'approve'
+        }],
+
+        events: {
+            'click .f-prev': 'onPrevClick',
+            'click .f-next': 'onNextClick',
+            'change .f-page input': 'onPageChange',
+            'click .f-zoom-in': 'onZoomInClick',
+            'click .f-zoom-out': 'onZoomOutClick',
+            'keydown .f-search input': 'onSearchKeyDown',
+            'click .f-search .button': 'onSearchClick',
+            'click .f-download': 'onDownloadClick',
+        },
+
+        initialize: function(options) {
+            this.attachment = options.attachment;
+            this.onDownload = options.onDownload;
+            this.pageNum = 1;
+            this.zoom = defaultZoom;
+            this.pageText = new Map();
+            F.ModalView.prototype.initialize.call(this, {header: this.attachment.name});
+        },
+
+        render: async function() {
+            await F.ModalView.prototype.render.apply(this, arguments);
+            if (!this.pdf) {
+                this.toggleLoading(true);
+                try {
+                    this.pdf = await getDocument(this.attachment.data);
+                } finally {
+                    this.toggleLoading(false);
+                }
+            }
+            await this.renderPage();
+            return this;
+        },
+
+        remove: function() {
+            if (this.pdf) {
+                this.pdf.destroy();
+                this.pdf = null;
+            }
+            return F.ModalView.prototype.remove.apply(this, arguments);
+        },
+
+        renderPage: async function() {
+            await F.queueAsync(this, async () => {
+                const page = await this.pdf.getPage(this.pageNum);
+                const viewport = page.getViewport(zoomLevels[this.zoom]);
+                const ratio = self.devicePixelRatio || 1;
+                const canvas = this.$('canvas')[0];
+                canvas.width = viewport.width * ratio;
+                canvas.height = viewport.height * ratio;
+                canvas.style.width = `${viewport.width}px`;
+                canvas.style.height = `${viewport.height}px`;
+                await page.render({
+                    canvasContext: canvas.getContext('2d'),
+                    transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+                    viewport
+                }).promise;
+                const $textLayer = this.$('.f-text-layer');
+                $textLayer.empty().css({width: viewport.width, height: viewport.height});
+                this.textDivs = [];
+                await pdfjsLib.renderTextLayer({
+                    textContent: await page.getTextContent(),
+                    container: $textLayer[0],
+                    viewport,
+                    textDivs: this.textDivs
+                }).promise;
+                this.highlightMatches();
+                this.$('.f-page input').val(this.pageNum).attr('max', this.pdf.numPages);
+                this.$('.f-page-count').text(this.pdf.numPages);
+                this.$('.f-prev').toggleClass('disabled', this.pageNum <= 1);
+                this.$('.f-next').toggleClass('disabled', this.pageNum >= this.pdf.numPages);
+                this.$('.f-zoom-level').text(`${Math.round(zoomLevels[this.zoom] * 100)}%`);
+                this.$('.f-zoom-out').toggleClass('disabled', this.zoom === 0);
+                this.$('.f-zoom-in').toggleClass('disabled', this.zoom === zoomLevels.length - 1);
+            });
+        },
+
+        showPage: async function(num) {
+            num = Math.max(1, Math.min(num, this.pdf.numPages));
+            if (num !== this.pageNum) {
+                this.pageNum = num;
+                this.$('.f-canvas-holder').scrollTop(0);
+            }
+            await this.renderPage();
+        },
+
+        setZoom: async function(zoom) {
+            this.zoom = Math.max(0, Math.min(zoom, zoomLevels.length - 1));
+            await this.renderPage();
+        },
+
+        getPageText: async function(num) {
+            if (!this.pageText.has(num)) {
+                const page = await this.pdf.getPage(num);
+                const content = await page.getTextContent();
+                this.pageText.set(num, content.items.map(x => x.str).join(' ').toLowerCase());
+            }
+            return this.pageText.get(num);
+        },
+
+        search: async function(query) {
+            /* Jump to the next page containing the query, wrapping around the end of
+             * the document.  Repeating the same search moves on to the next page. */
+            query = query.trim().toLowerCase();
+            const $search = this.$('.f-search');
+            $search.removeClass('error');
+            if (!query) {
+                this.query = null;
+                this.highlightMatches();
+                return;
+            }
+            const start = query === this.query ? this.pageNum : this.pageNum - 1;
+            this.query = query;
+            $search.addClass('loading');
+            try {
+                const total = this.pdf.numPages;
+                for (let i = 0; i < total; i++) {
+                    const num = ((start + i) % total) + 1;
+                    if ((await this.getPageText(num)).indexOf(query) !== -1) {
+                        await this.showPage(num);
+                        return;
+                    }
+                }
+            } finally {
+                $search.removeClass('loading');
+            }
+            $search.addClass('error');
+            this.highlightMatches();
+        },
+
+        highlightMatches: function() {
+            for (const div of this.textDivs || []) {
+                const text = div.textContent.toLowerCase();
+                div.classList.toggle('f-match', !!this.query && text.indexOf(this.query) !== -1);
+            }
+        },
+
+        onPrevClick: async function() {
+            await this.showPage(this.pageNum - 1);
+        },
+
+        onNextClick: async function() {
+            await this.showPage(this.pageNum + 1);
+        },
+
+        onPageChange: async function(ev) {
+            const num = parseInt(ev.currentTarget.value);
+            await this.showPage(isNaN(num) ? this.pageNum : num);
+        },
+
+        onZoomInClick: async function() {
+            await this.setZoom(this.zoom + 1);
+        },
+
+        onZoomOutClick: async function() {
+            await this.setZoom(this.zoom - 1);
+        },
+
+        onSearchKeyDown: async function(ev) {
+            if (ev.keyCode === /*enter*/ 13) {
+                ev.preventDefault();
+                await this.search(ev.currentTarget.value);
+            }
+        },
+
+        onSearchClick: async function() {
+            await this.search(this.$('.f-search input').val());
+        },
+
+        onDownloadClick: async function() {
+            if (this.onDownload) {
+                await this.onDownload();
+            }
+        }
+    }, {
+        renderThumbnail: async function(data, canvas, width) {
+            /* Draw the first page into the canvas and return the page count. */
+            const pdf = await getDocument(data);
+            try {
+                const page = await pdf.getPage(1);
+                const viewport = page.getViewport(width / page.getViewport(1).width);
+                canvas.width = viewport.width;
+                canvas.height = viewport.height;
+                await page.render({canvasContext: canvas.getContext('2d'), viewport}).promise;
+                return pdf.numPages;
+            } finally {
+                pdf.destroy();
+            }
+        }
+    });
+})();
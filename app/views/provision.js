@@ -18,6 +18,7 @@
             'click .f-generate.button': 'onGenerateClick',
             'click .f-provision.button': 'onProvisionClick',
             'click .f-abort.button': 'onAbortClick',
+            'click .f-restore.button': 'onRestoreClick',
         },
 
         initialize: function(options) {
@@ -102,7 +103,9 @@
             ]);
             return Object.assign({
                 devices: this.devices,
-                welcomeImage
+                welcomeImage,
+                canRestore: F.backup.isSupported(),
+                backup: this.backup && F.backup.summarize(this.backup)
             }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
         },
 
@@ -118,6 +121,39 @@
             await am.registerAccount(F.foundation.generateDeviceName());
         },
 
+        restoreBackup: async function() {
+            if (!this.backup) {
+                return;
+            }
+            this.toggleLoading(true, 'Restoring backup...');
+            try {
+                await F.backup.restore(this.backup, (store, value, total) => {
+                    this.toggleLoading(true, `Restoring backup...<br/><br/>${value} of ${total} ${store}`);
+                });
+            } catch(e) {
+                F.util.reportError("Failed to restore backup.", {error: e});
+                await F.util.confirmModal({
+                    icon: 'stop red',
+                    header: 'Restore Error',
+                    content: e.message,
+                    allowMultiple: true
+                });
+            } finally {
+                this.backup = null;
+                this.toggleLoading(false);
+            }
+        },
+
+        onRestoreClick: async function() {
+            const view = new F.RestoreBackupView();
+            await view.show();
+            const backup = await view.opened;
+            if (backup) {
+                this.backup = backup;
+                await this.render();
+            }
+        },
+
         onResetClick: async function() {
             if (await F.util.confirmModal({
                 icon: 'red warning sign',
@@ -137,6 +173,7 @@
                 } finally {
                     this.toggleLoading(false);
                 }
+                await this.restoreBackup();
                 this._finishedResolve();
                 this.hide();
                 await this.donePrompt();
@@ -150,6 +187,7 @@
             } finally {
                 this.toggleLoading(false);
             }
+            await this.restoreBackup();
             this._finishedResolve();
             this.hide();
             await this.donePrompt();
@@ -186,6 +224,7 @@
             } finally {
                 this.toggleLoading(false);
             }
+            await this.restoreBackup();
             this._finishedResolve();
             this.hide();
             await this.donePrompt();
@@ -0,0 +1,111 @@
+// vim: ts=4:sw=4:expandtab
+/* global */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    F.QuarantineView = F.ModalView.extend({
+        /* Review messages held back because the sender's identity changed. */
+
+        contentTemplate: 'views/quarantine.html',
+        extraClass: 'f-quarantine',
+        size: 'small',
+        icon: 'spy',
+        header: 'Held Messages',
+        allowMultiple: true,
+        actions: [{
+            label: 'Close',
+            class: 'approve'
+        }],
+
+        events: {
+            'click .f-release': 'onReleaseClick',
+            'click .f-discard': 'onDiscardClick',
+            'click .f-hold': 'onHoldClick',
+            'click .f-trust-release': 'onTrustReleaseClick'
+        },
+
+        initialize: function() {
+            F.ModalView.prototype.initialize.apply(this, arguments);
+            this.quarantined = new F.QuarantinedMessageCollection();
+        },
+
+        getSharedThreads: async function() {
+            /* The conversation is inside the encrypted content, so until release the
+             * best we can offer is the threads we share with the sender. */
+            const shared = [];
+            for (const x of F.foundation.allThreads.models) {
+                if ((await x.getMembers()).indexOf(this.model.id) !== -1) {
+                    shared.push(x);
+                }
+            }
+            return shared.sort((a, b) => (b.get('timestamp') || 0) - (a.get('timestamp') || 0));
+        },
+
+        render_attributes: async function() {
+            const shared = await this.getSharedThreads();
+            return Object.assign({
+                name: this.model.getName(),
+                canRelease: !this.model.get('proposedIdentityKey'),
+                sharedThreads: shared.map(x => ({
+                    id: x.id,
+                    title: x.getNormalizedTitle(/*text*/ true)
+                })),
+                sharedTitles: shared.map(x => x.getNormalizedTitle(/*text*/ true)).join('\n'),
+                trustedPhrase: await this.model.getIdentityPhrase(),
+                proposedPhrase: await this.model.getIdentityPhrase(/*proposed*/ true),
+                messages: this.quarantined.map(x => ({
+                    id: x.id,
+                    device: x.get('sourceDevice'),
+                    timestamp: x.get('timestamp'),
+                    held: x.get('held')
+                }))
+            }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
+        },
+
+        render: async function() {
+            await this.quarantined.fetchBySource(this.model.id);
+            return await F.ModalView.prototype.render.apply(this, arguments);
+        },
+
+        getMessage: function(ev) {
+            const id = $(ev.currentTarget).closest('.f-quarantined').data('id');
+            return this.quarantined.get(id);
+        },
+
+        runAction: async function(ev, action) {
+            const $button = $(ev.currentTarget).addClass('loading disabled');
+            try {
+                await action();
+            } finally {
+                $button.removeClass('loading disabled');
+            }
+            this.trigger('change', this);
+            await this.render();
+        },
+
+        onReleaseClick: async function(ev) {
+            const msg = this.getMessage(ev);
+            await this.runAction(ev, () => F.queueAsync(this.model, () => msg.release()));
+        },
+
+        onDiscardClick: async function(ev) {
+            const msg = this.getMessage(ev);
+            await this.runAction(ev, () => msg.destroy());
+        },
+
+        onHoldClick: async function(ev) {
+            const msg = this.getMessage(ev);
+            await this.runAction(ev, () => msg.hold());
+        },
+
+        onTrustReleaseClick: async function(ev) {
+            await this.runAction(ev, async () => {
+                await this.model.trustIdentity(/*proposed*/ true, {via: 'quarantine-review'});
+                await this.model.releaseQuarantinedMessages();
+            });
+        }
+    });
+})();
@@ -0,0 +1,114 @@
+// vim: ts=4:sw=4:expandtab
+/* global */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    F.RetentionView = F.ModalView.extend({
+        /* Edit the retention policy of a thread or, without a model, the default
+         * policy for all threads. */
+
+        contentTemplate: 'views/retention.html',
+        extraClass: 'f-retention',
+        size: 'tiny',
+        icon: 'recycle',
+        header: 'Message Retention',
+        allowMultiple: true,
+        actions: [{
+            label: 'Cancel',
+            class: 'deny'
+        }, {
+            label: 'Save',
+            class: 'f-save primary'
+        }],
+
+        events: {
+            'click .actions .f-save': 'onSaveClick'
+        },
+
+        render_attributes: async function() {
+            const defaultPolicy = await F.retention.getDefault();
+            const own = this.model && this.model.get('retention');
+            const policy = this.model ? await F.retention.getPolicy(this.model) : defaultPolicy;
+            return Object.assign({
+                isThread: !!this.model,
+                useDefault: !!this.model && own === undefined,
+                defaultDescription: F.retention.describe(defaultPolicy),
+                days: policy && policy.days,
+                count: policy && policy.count
+            }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
+        },
+
+        render: async function() {
+            await F.ModalView.prototype.render.apply(this, arguments);
+            this.$('.ui.checkbox').checkbox({
+                onChange: () => this.$('.f-custom').toggleClass('disabled', this.isDefaultChecked())
+            });
+            return this;
+        },
+
+        isDefaultChecked: function() {
+            return this.$('input[name="useDefault"]').is(':checked');
+        },
+
+        onSaveClick: async function(ev) {
+            const $button = $(ev.currentTarget);
+            if ($button.hasClass('loading')) {
+                return;
+            }
+            const policy = this.isDefaultChecked() ? undefined : {
+                days: this.$('input[name="days"]').val(),
+                count: this.$('input[name="count"]').val()
+            };
+            const $error = this.$('.f-error').addClass('hidden');
+            try {
+                F.retention.validate(policy);
+            } catch(e) {
+                $error.removeClass('hidden').find('.content').text(e.message);
+                return;
+            }
+            $button.addClass('loading disabled');
+            try {
+                if (!await this.confirmPrune(policy)) {
+                    return;
+                }
+                if (this.model) {
+                    await F.retention.setPolicy(this.model, policy);
+                } else {
+                    await F.retention.setDefault(policy);
+                    F.retention.pruneAll();  // bg okay
+                }
+            } finally {
+                $button.removeClass('loading disabled');
+            }
+            this.trigger('saved', this);
+            this.hide();
+        },
+
+        confirmPrune: async function(policy) {
+            /* Deleting is immediate and can't be undone, so say how much will go. */
+            let count;
+            if (this.model) {
+                const effective = policy === undefined ? await F.retention.getDefault() : policy;
+                count = await F.retention.countPrunable(this.model, effective);
+            } else {
+                count = await F.retention.countPrunableDefault(policy);
+            }
+            if (!count) {
+                return true;
+            }
+            return await F.util.confirmModal({
+                header: 'Delete Messages?',
+                icon: 'recycle',
+                size: 'tiny',
+                allowMultiple: true,
+                content: `About ${count.toLocaleString()} messages fall outside this policy and ` +
+                         `will be deleted from this device now.  This can't be undone.`,
+                confirmLabel: 'Delete and Save',
+                confirmClass: 'red'
+            });
+        }
+    });
+})();
@@ -0,0 +1,119 @@
+// vim: ts=4:sw=4:expandtab
+/* global moment */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    F.ScheduledMessagesView = F.ModalView.extend({
+
+        contentTemplate: 'views/scheduled-messages.html',
+        size: 'small',
+        icon: 'clock',
+        header: 'Scheduled Messages',
+
+        events: {
+            'click .f-edit': 'onEditClick',
+            'click .f-reschedule': 'onRescheduleClick',
+            'click .f-cancel': 'onCancelClick',
+            'click .f-retry': 'onRetryClick',
+        },
+
+        initialize: function() {
+            F.ModalView.prototype.initialize.apply(this, arguments);
+            this.scheduled = new F.ScheduledMessageCollection();
+            this.listenTo(this.model, 'scheduled', this.render);
+        },
+
+        render_attributes: async function() {
+            return Object.assign({
+                scheduled: this.scheduled.map(x => Object.assign({
+                    attachmentCount: x.get('attachments').length
+                }, x.attributes))
+            }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
+        },
+
+        render: async function() {
+            await this.scheduled.fetchByThread(this.model.id);
+            return await F.ModalView.prototype.render.apply(this, arguments);
+        },
+
+        getScheduled: function(ev) {
+            const row = $(ev.currentTarget).closest('.row');
+            return this.scheduled.get(row.data('id'));
+        },
+
+        onEditClick: async function(ev) {
+            const scheduled = this.getScheduled(ev);
+            const p = F.util.formModal({
+                header: 'Edit Scheduled Message',
+                icon: 'pencil',
+                size: 'tiny',
+                allowMultiple: true,
+                confirmLabel: 'Save',
+                fields: [{
+                    label: 'Message',
+                    name: 'plain'
+                }]
+            });
+            p.view.on('render', view => view.$('input[name="plain"]').val(scheduled.get('plain')));
+            const data = await p;
+            if (data && data.plain && data.plain !== scheduled.get('plain')) {
+                const safe_html = F.util.htmlSanitize(data.plain, /*render_forstadown*/ true);
+                await scheduled.save({
+                    plain: data.plain,
+                    safe_html: safe_html !== data.plain ? safe_html : undefined
+                });
+                await this.render();
+            }
+        },
+
+        onRescheduleClick: async function(ev) {
+            const scheduled = this.getScheduled(ev);
+            const p = F.util.formModal({
+                header: 'Reschedule Message',
+                icon: 'clock',
+                size: 'tiny',
+                allowMultiple: true,
+                confirmLabel: 'Reschedule',
+                fields: [{
+                    label: 'Send At',
+                    name: 'sendAt',
+                    inputType: 'datetime-local'
+                }]
+            });
+            p.view.on('render', view => view.$('input[name="sendAt"]').val(
+                moment(scheduled.get('sendAt')).format('YYYY-MM-DDTHH:mm')));
+            const data = await p;
+            const sendAt = data && data.sendAt && moment(data.sendAt).valueOf();
+            if (sendAt) {
+                await scheduled.save({sendAt, sending: false, failed: false, error: undefined});
+                await F.scheduled.refresh();
+                await this.render();
+            }
+        },
+
+        onRetryClick: async function(ev) {
+            await this.getScheduled(ev).retry();
+            await this.render();
+        },
+
+        onCancelClick: async function(ev) {
+            const scheduled = this.getScheduled(ev);
+            if (await F.util.confirmModal({
+                header: 'Cancel Scheduled Message?',
+                allowMultiple: true,
+                icon: 'trash',
+                size: 'tiny',
+                content: 'This message will be discarded without being sent.',
+                confirmLabel: 'Discard',
+                confirmClass: 'red'
+            })) {
+                await scheduled.destroy();
+                await F.scheduled.refresh();
+                await this.render();
+            }
+        }
+    });
+})();
@@ -0,0 +1,111 @@
+// vim: ts=4:sw=4:expandtab
+/* global */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    F.SessionsView = F.ModalView.extend({
+        /* Inspect stored signal sessions per contact device and reset them one at a
+         * time.  Pass `addrs` to limit the list to some users. */
+
+        contentTemplate: 'views/sessions.html',
+        extraClass: 'f-sessions',
+        size: 'large',
+        icon: 'lock',
+        header: 'Secure Sessions',
+        allowMultiple: true,
+        actions: [{
+            label: 'Close',
+            class: 'approve'
+        }],
+
+        events: {
+            'click .f-reset': 'onResetClick'
+        },
+
+        initialize: function(options) {
+            F.ModalView.prototype.initialize.apply(this, arguments);
+            this.addrs = options && options.addrs;
+            this.sessions = new Map();
+        },
+
+        getUndelivered: async function(session) {
+            /* Messages we failed to decrypt that haven't arrived since. */
+            const missing = [];
+            for (const sent of session.undelivered || []) {
+                try {
+                    await (new F.Message({sent})).fetch();
+                } catch(e) {
+                    missing.push(sent);
+                }
+            }
+            return missing;
+        },
+
+        render_attributes: async function() {
+            const store = F.foundation.relayStore;
+            let sessions;
+            if (this.addrs) {
+                sessions = [].concat(...await Promise.all(this.addrs.map(x => store.getSessionInfo(x))));
+            } else {
+                sessions = await store.getSessionInfo();
+            }
+            this.sessions = new Map(sessions.map(x => [x.id, x]));
+            const byAddr = new Map();
+            for (const x of sessions) {
+                if (!byAddr.has(x.addr)) {
+                    byAddr.set(x.addr, []);
+                }
+                byAddr.get(x.addr).push(Object.assign({
+                    undeliveredCount: (await this.getUndelivered(x)).length
+                }, x));
+            }
+            const users = await F.atlas.getContacts(Array.from(byAddr.keys()));
+            const contacts = Array.from(byAddr.entries()).map(([addr, devices], i) => ({
+                addr,
+                name: users[i] ? users[i].getName() : addr,
+                tagSlug: users[i] && users[i].getTagSlug(),
+                isCurrentUser: addr === F.currentUser.id,
+                devices: devices.sort((a, b) => a.deviceId - b.deviceId)
+            }));
+            contacts.sort((a, b) => a.name.localeCompare(b.name));
+            return Object.assign({contacts}, await F.ModalView.prototype.render_attributes.apply(this, arguments));
+        },
+
+        onResetClick: async function(ev) {
+            const $button = $(ev.currentTarget);
+            const id = $button.closest('.f-session').data('id');
+            const session = this.sessions.get(id);
+            const retransmits = await this.getUndelivered(session);
+            const confirmed = await F.util.confirmModal({
+                header: 'Reset Session?',
+                icon: 'refresh',
+                size: 'tiny',
+                allowMultiple: true,
+                content: `A new session will be negotiated with device #${session.deviceId}.` +
+                         (retransmits.length ? `  It will also be asked to resend ` +
+                                               `${retransmits.length} undelivered messages.` : ''),
+                confirmLabel: 'Reset'
+            });
+            if (!confirmed) {
+                return;
+            }
+            $button.addClass('loading disabled');
+            const store = F.foundation.relayStore;
+            try {
+                const ms = F.foundation.getMessageSender();
+                await ms.closeSession(id, retransmits.length ? {retransmits} : undefined);
+                await store.noteSessionClosed(id, 'outgoing', 'manual reset');
+                if (retransmits.length) {
+                    await store.noteRetransmitRequest(id, 'outgoing', retransmits);
+                    await store.clearUndelivered(id);
+                }
+            } finally {
+                $button.removeClass('loading disabled');
+            }
+            await this.render();
+        }
+    });
+})();
@@ -18,7 +18,12 @@
         events: {
             'click .button.f-storage-persist': 'onStoragePersistClick',
             'click .button.f-notif-request': 'onNotifRequestClick',
-            'click .button.f-sync-request': 'onSyncRequestClick'
+            'click .button.f-sync-request': 'onSyncRequestClick',
+            'click .button.f-diagnostics-export': 'onDiagnosticsExportClick',
+            'click .button.f-sessions-inspect': 'onSessionsInspectClick',
+            'click .button.f-backup-create': 'onBackupCreateClick',
+            'click .button.f-retention-edit': 'onRetentionEditClick',
+            'click .button.f-search-reindex': 'onSearchReindexClick'
         },
 
         render_attributes: async function() {
@@ -28,6 +33,7 @@
                 notificationSoundMuted: await F.state.get("notificationSoundMuted"),
                 allowBugReporting: !(await F.state.get("disableBugReporting")),
                 allowUsageReporting: !(await F.state.get("disableUsageReporting")),
+                allowTypingIndicators: !(await F.state.get("disableTypingIndicators")),
                 hasPushNotifications: !!(await F.state.get('serverGcmHash')),
                 isElectron: !!(F.electron),
                 deviceName: await F.state.get('name'),
@@ -37,7 +43,16 @@
                 gitCommit: F.env.GIT_COMMIT.substring(0, 8),
                 storageEstimate: storage && storage.estimate && await storage.estimate(),
                 persistentStorage: storage && storage.persisted && await storage.persisted(),
-                lastSync: await F.state.get('lastSync')
+                lastSync: await F.state.get('lastSync'),
+                canBackup: F.backup.isSupported(),
+                lastBackup: await F.state.get('lastBackup'),
+                canRetention: !!F.RetentionView,
+                retentionDescription: F.retention && F.retention.describe(await F.retention.getDefault()),
+                canTrustPolicy: !!F.trustPolicy,
+                strictTrust: F.trustPolicy && await F.trustPolicy.getDefault(),
+                canInspectSessions: !!F.SessionsView,
+                searchable: !F.managedConfig,
+                searchIndexPending: !F.managedConfig && await F.searchIndex.pendingCount()
             }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
         },
 
@@ -60,6 +75,12 @@
             this.$('.f-usage-reporting').checkbox({
                 onChange: this.onUsageReportingChange
             });
+            this.$('.f-typing-indicators').checkbox({
+                onChange: this.onTypingIndicatorsChange
+            });
+            this.$('.f-strict-trust').checkbox({
+                onChange: this.onStrictTrustChange
+            });
             this.$('.f-notif-sound-muted').checkbox({
                 onChange: this.onNotifSoundMutedChange
             });
@@ -85,6 +106,14 @@
             await F.state.put("disableUsageReporting", !this.checked);
         },
 
+        onTypingIndicatorsChange: async function() {
+            await F.state.put("disableTypingIndicators", !this.checked);
+        },
+
+        onStrictTrustChange: async function() {
+            await F.trustPolicy.setDefault(this.checked);
+        },
+
         onNotifRequestClick: async function() {
             const setting = await Notification.requestPermission();
             if (setting !== 'granted') {
@@ -99,6 +128,49 @@
             await this.render();
         },
 
+        onDiagnosticsExportClick: async function(ev) {
+            const $button = $(ev.currentTarget);
+            $button.addClass('loading disabled');
+            try {
+                await F.diagnostics.download();
+            } finally {
+                $button.removeClass('loading disabled');
+            }
+        },
+
+        onBackupCreateClick: async function() {
+            const view = new F.BackupView();
+            view.on('hide', () => this.render());
+            await view.show();
+        },
+
+        onSessionsInspectClick: async function() {
+            await (new F.SessionsView()).show();
+        },
+
+        onRetentionEditClick: async function() {
+            const view = new F.RetentionView();
+            view.on('saved', async () => {
+                const policy = await F.retention.getDefault();
+                this.$('.f-retention-description').text(F.retention.describe(policy));
+            });
+            await view.show();
+        },
+
+        onSearchReindexClick: async function(ev) {
+            const $button = $(ev.currentTarget);
+            const $status = this.$('.f-search-index-status');
+            $button.addClass('loading disabled');
+            try {
+                await F.searchIndex.reindex('messages', (done, total) => {
+                    $status.text(`Indexed ${done} of ${total} messages...`);
+                });
+            } finally {
+                $button.removeClass('loading disabled');
+            }
+            $status.text('Up to date');
+        },
+
         onNotifSoundMutedChange: async function() {
             await F.state.put("notificationSoundMuted", this.checked);
         },
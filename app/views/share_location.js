@@ -0,0 +1,71 @@
+// vim: ts=4:sw=4:expandtab
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    F.ShareLocationView = F.ModalView.extend({
+
+        contentTemplate: 'views/share-location.html',
+        extraClass: 'f-share-location',
+        size: 'tiny',
+        icon: 'map marker alternate',
+        header: 'Share Location',
+        actions: [{
+            label: 'Cancel',
+            class: 'deny'
+        }, {
+            label: 'Share',
+            class: 'f-share primary approve disabled'
+        }],
+
+        initialize: function(options) {
+            this.thread = options.thread;
+            F.ModalView.prototype.initialize.apply(this, arguments);
+            this.liveMinutes = 0;
+            this.on('approve', this.onShareApprove);
+        },
+
+        render_attributes: async function() {
+            return Object.assign({
+                location: this.location,
+                error: this.error
+            }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
+        },
+
+        render: async function() {
+            await F.ModalView.prototype.render.apply(this, arguments);
+            this.$('.f-live').dropdown({
+                onChange: value => this.liveMinutes = Number(value) || 0
+            }).dropdown('set selected', String(this.liveMinutes));
+            this.$('.f-share').toggleClass('disabled', !this.location);
+            if (!this.location && !this.error && !this._locating) {
+                this.locate();  // bg okay
+            }
+            return this;
+        },
+
+        locate: async function() {
+            this._locating = true;
+            try {
+                const location = await F.location.getCurrentPosition();
+                try {
+                    location.label = await F.location.getLabel(location);
+                } catch(e) {
+                    console.warn("Reverse geocode failed:", e);
+                }
+                this.location = location;
+            } catch(e) {
+                this.error = e.message || 'Location unavailable';
+            } finally {
+                this._locating = false;
+            }
+            await this.render();
+        },
+
+        onShareApprove: async function() {
+            await F.location.share(this.thread, this.location, this.liveMinutes);
+        }
+    });
+})();
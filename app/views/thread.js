@@ -83,6 +83,7 @@
                     model: this.model,
                     threadView: this
                 });
+                this.listenTo(this.model, 'showReplies', this.showReplies);
             }
             const subRenders = [];
             if (this.headerView) {
@@ -128,6 +129,13 @@
             }
         },
 
+        showReplies: async function(message) {
+            if (!this.asideView.isExpanded()) {
+                await this.toggleAside();
+            }
+            await this.asideView.showReplies(message);
+        },
+
         setHeaderAsideIconState: function(state) {
             if (!this.headerView) {
                 return;
@@ -167,7 +175,8 @@
             'click .f-notices .f-clear': 'onClearNotices',
             'click .f-notices .f-close': 'onCloseNotice',
             'click .f-alt-collapse': 'onCollapseClick',
-            'click .f-dist-edit': 'onDistEditClick'
+            'click .f-dist-edit': 'onDistEditClick',
+            'click .f-gallery-toggle': 'onGalleryToggleClick'
         },
 
         initialize: function(options) {
@@ -185,6 +194,77 @@
             this.listenTo(this.model, rerenderEvents.join(' '), this.render);
         },
 
+        render: async function() {
+            await F.View.prototype.render.apply(this, arguments);
+            if (this.repliesView && !this.el.contains(this.repliesView.el)) {
+                this.$('.f-replies-holder').append(this.repliesView.$el);
+            }
+            if (this.galleryOpen) {
+                this.showGallery();
+            }
+            return this;
+        },
+
+        showGallery: function() {
+            /* The gallery scans thread history, so it's only built once opened. */
+            if (!this.galleryView) {
+                this.galleryView = new F.ThreadGalleryView({
+                    model: this.model,
+                    threadView: this.threadView
+                });
+                this.galleryView.render();  // bg okay
+            }
+            if (!this.el.contains(this.galleryView.el)) {
+                this.$('.f-gallery-holder').append(this.galleryView.$el);
+            }
+        },
+
+        onGalleryToggleClick: function() {
+            this.galleryOpen = !this.galleryOpen;
+            this.$('.f-gallery-toggle .icon.dropdown').toggleClass('rotated', this.galleryOpen);
+            if (this.galleryOpen) {
+                this.showGallery();
+            } else if (this.galleryView) {
+                this.galleryView.remove();
+                this.galleryView = null;
+            }
+        },
+
+        remove: function() {
+            this.closeReplies();
+            if (this.galleryView) {
+                this.galleryView.remove();
+                this.galleryView = null;
+            }
+            return F.View.prototype.remove.apply(this, arguments);
+        },
+
+        showReplies: async function(message) {
+            if (this.repliesView && this.repliesView.model === message) {
+                this.repliesView.focusMessageField();
+                return;
+            }
+            this.closeReplies();
+            const view = new F.ThreadRepliesView({
+                model: message,
+                thread: this.model,
+                threadView: this.threadView
+            });
+            this.repliesView = view;
+            this.listenTo(view, 'close', this.closeReplies);
+            this.$('.f-replies-holder').append(view.$el);
+            await view.render();
+            view.focusMessageField();
+        },
+
+        closeReplies: function() {
+            if (this.repliesView) {
+                this.stopListening(this.repliesView);
+                this.repliesView.remove();
+                this.repliesView = null;
+            }
+        },
+
         render_attributes: async function() {
             const notices = Array.from(this.model.get('notices') || []);
             for (const x of notices) {
@@ -219,7 +299,9 @@
                 titleNormalized: this.model.getNormalizedTitle(),
                 hasNotices: !!notices.length,
                 noticesReversed: notices.reverse(),
-                dist: await F.util.parseDistribution(this.model.get('distributionPretty'))
+                dist: await F.util.parseDistribution(this.model.get('distributionPretty')),
+                hasGallery: !!F.ThreadGalleryView,
+                galleryOpen: this.galleryOpen
             }, F.View.prototype.render_attributes.apply(this, arguments));
         },
 
@@ -289,10 +371,15 @@
             'click .f-block-messages': 'onBlockMessages',
             'click .f-leave-thread': 'onLeaveThread',
             'click .f-edit-dist': 'onEditDist',
-            'click .f-reset-session': 'onResetSession',
+            'click .f-scheduled-messages': 'onScheduledMessages',
+            'click .f-export-thread': 'onExportThread',
+            'click .f-retention': 'onRetention',
+            'click .f-trust-policy': 'onTrustPolicy',
+            'click .f-sessions': 'onSessionsClick',
             'click .f-call': 'onCallClick',
             'click .f-share': 'onShareClick',
             'click .f-popout': 'onPopoutClick',
+            'click .f-find': 'onFindClick',
         },
 
         messageResendIfRequired: function(message) {
@@ -400,6 +487,11 @@
             return Object.assign({
                 hasNotices: !!notices.length,
                 noticeSeverityColor,
+                canSchedule: !!F.ScheduledMessagesView,
+                canExport: !!F.ExportThreadView,
+                canRetention: !!F.RetentionView,
+                canTrustPolicy: !!F.TrustPolicyView,
+                canInspectSessions: !!F.SessionsView,
             }, await this.threadView.render_attributes());
         },
 
@@ -503,8 +595,13 @@
             await this.model.save();
         },
 
-        onResetSession: async function() {
-            await this.model.endSession();
+        onFindClick: function() {
+            this.threadView.showFindBar();
+        },
+
+        onSessionsClick: async function() {
+            const addrs = (await this.model.getMembers()).filter(x => x !== F.currentUser.id);
+            await (new F.SessionsView({addrs})).show();
         },
 
         onCallClick: async function() {
@@ -585,6 +682,26 @@
             await this.threadView.showDistEditor();
         },
 
+        onScheduledMessages: async function() {
+            await (new F.ScheduledMessagesView({model: this.model})).show();
+        },
+
+        onExportThread: async function() {
+            const type = this.model.get('type');
+            await (new F.ExportThreadView({
+                model: this.model,
+                header: `Export ${type[0].toUpperCase()}${type.substr(1)}`
+            })).show();
+        },
+
+        onRetention: async function() {
+            await (new F.RetentionView({model: this.model})).show();
+        },
+
+        onTrustPolicy: async function() {
+            await (new F.TrustPolicyView({model: this.model})).show();
+        },
+
         onClearMessages: async function(ev) {
             const confirm = await F.util.confirmModal({
                 icon: 'recycle',
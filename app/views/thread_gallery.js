@@ -0,0 +1,248 @@
+// vim: ts=4:sw=4:expandtab
+/* global */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    const logger = F.log.getLogger('views.thread-gallery');
+
+    const pageSize = 24;
+    const scanSize = 100;
+    const maxScans = 10;  // Per page, so sparse threads don't walk all of history at once.
+    const linkRe = /\bhttps?:\/\/[^\s<>"]+/gi;
+
+    const tabs = [{
+        id: 'media',
+        label: 'Media',
+        icon: 'image'
+    }, {
+        id: 'files',
+        label: 'Files',
+        icon: 'file'
+    }, {
+        id: 'links',
+        label: 'Links',
+        icon: 'linkify'
+    }];
+
+
+    function getLinks(plain) {
+        // Trailing punctuation is more likely to belong to the sentence than the url.
+        return (plain && plain.match(linkRe) || []).map(x => x.replace(/[.,;:!?)\]'"]+$/, ''));
+    }
+
+    function getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch(e) {
+            return url;
+        }
+    }
+
+    function getAttachmentTab(attachment) {
+        const contentType = (attachment.type || '').split('/')[0];
+        return contentType === 'image' || contentType === 'video' ? 'media' : 'files';
+    }
+
+
+    F.ThreadGalleryView = F.View.extend({
+        template: 'views/thread-gallery.html',
+        className: 'f-thread-gallery',
+
+        events: {
+            'click .f-gallery-tabs .item': 'onTabClick',
+            'click .f-gallery-jump': 'onJumpClick',
+            'click .f-gallery-more': 'onMoreClick'
+        },
+
+        initialize: function(options) {
+            this.threadView = options.threadView;
+            this.tab = 'media';
+            this.sender = '';
+            this.resetItems();
+            this.onMessageAdd = _.debounce(this._onMessageAdd.bind(this), 1000);
+            this.listenTo(this.model.messages, 'add', this.onMessageAdd);
+            if (self.IntersectionObserver) {
+                this.moreObserver = new IntersectionObserver(entries => {
+                    if (entries.some(x => x.isIntersecting)) {
+                        this.loadMore();  // bg okay
+                    }
+                });
+            }
+        },
+
+        remove: function() {
+            if (this.moreObserver) {
+                this.moreObserver.disconnect();
+            }
+            return F.View.prototype.remove.apply(this, arguments);
+        },
+
+        resetItems: function() {
+            this.items = [];
+            this.oldest = Infinity;
+            this.exhausted = false;
+            this.generation = (this.generation || 0) + 1;
+        },
+
+        render_attributes: async function() {
+            const members = await this.model.getContacts();
+            return {
+                tabs: tabs.map(x => Object.assign({active: x.id === this.tab}, x)),
+                senders: members.map(x => ({id: x.id, name: x.getName()})),
+                sender: this.sender
+            };
+        },
+
+        render: async function() {
+            await F.View.prototype.render.apply(this, arguments);
+            this.$('.f-gallery-sender').dropdown({
+                onChange: this.onSenderChange.bind(this)
+            });
+            await this.renderItems(this.items);
+            if (this.moreObserver) {
+                this.moreObserver.disconnect();
+                this.moreObserver.observe(this.$('.f-gallery-more')[0]);
+            }
+            this.updateStatus();
+            if (!this.items.length && !this.exhausted) {
+                await this.loadMore();
+            }
+            return this;
+        },
+
+        getMessageItems: function(message) {
+            /* Return the gallery entries for a message that belong in our current tab. */
+            if (this.sender && message.get('sender') !== this.sender) {
+                return [];
+            }
+            if (this.tab === 'links') {
+                return getLinks(message.get('plain')).map(url => ({message, url}));
+            } else {
+                return (message.get('attachments') || [])
+                    .filter(x => getAttachmentTab(x) === this.tab)
+                    .map(attachment => ({message, attachment}));
+            }
+        },
+
+        loadMore: async function() {
+            /* Walk back through the thread history until we have another page of
+             * entries or have scanned `maxScans` batches.  Only a window of messages
+             * is held in memory at a time. */
+            await F.queueAsync(`gallery-load-${this.cid}`, async () => {
+                if (this.exhausted) {
+                    return;
+                }
+                const generation = this.generation;
+                const $more = this.$('.f-gallery-more').addClass('loading');
+                const found = [];
+                try {
+                    for (let i = 0; i < maxScans && found.length < pageSize && !this.exhausted; i++) {
+                        const messages = new F.MessageCollection();
+                        await messages.fetch({
+                            limit: scanSize,
+                            index: {
+                                name: 'threadId-timestamp',
+                                lower: [this.model.id],
+                                upper: [this.model.id, this.oldest],
+                                excludeUpper: true,
+                                order: 'desc'
+                            }
+                        });
+                        if (generation !== this.generation) {
+                            return;  // Reset while loading.
+                        }
+                        this.exhausted = messages.length < scanSize;
+                        for (const x of messages.models) {
+                            this.oldest = Math.min(this.oldest, x.get('timestamp'));
+                            if (!x.get('messageRef') && x.get('type') !== 'clientOnly') {
+                                found.push(...this.getMessageItems(x));
+                            }
+                        }
+                    }
+                } finally {
+                    $more.removeClass('loading');
+                }
+                this.items.push(...found);
+                await this.renderItems(found);
+                this.updateStatus();
+            });
+        },
+
+        renderItems: async function(items) {
+            const template = await F.tpl.fetch(F.urls.templates + 'views/thread-gallery-item.html');
+            const $items = this.$('.f-gallery-items');
+            const canJump = !!this.threadView.showMessage;
+            for (const x of items) {
+                const sender = await x.message.getSender();
+                const $item = $(template({
+                    tab: this.tab,
+                    isLink: !!x.url,
+                    url: x.url,
+                    hostname: x.url && getHostname(x.url),
+                    senderName: sender ? sender.getName() : 'Unknown',
+                    timestamp: x.message.get('timestamp'),
+                    messageId: x.message.id,
+                    canJump
+                }));
+                $item.data('message', x.message);
+                if (x.attachment) {
+                    const view = new F.AttachmentView({
+                        attachment: x.attachment,
+                        message: x.message
+                    });
+                    $item.find('.f-gallery-attachment').append(view.$el);
+                    view.render().catch(e => logger.warn("Gallery attachment render failed:", e));
+                }
+                $items.append($item);
+            }
+        },
+
+        updateStatus: function() {
+            const searched = this.oldest !== Infinity;
+            this.$('.f-gallery-more').toggleClass('hidden', this.exhausted);
+            this.$('.f-gallery-empty')
+                .toggleClass('hidden', !!this.items.length || (!this.exhausted && !searched))
+                .text(this.exhausted ? 'Nothing shared yet.' :
+                      `Nothing shared since ${F.tpl.help.calendar(this.oldest)}.`);
+        },
+
+        reload: async function() {
+            this.resetItems();
+            await this.render();
+        },
+
+        _onMessageAdd: async function(message) {
+            /* New content is only shown after a reload of the current tab. */
+            if (this.getMessageItems(message).length && this.el.isConnected) {
+                await this.reload();
+            }
+        },
+
+        onTabClick: async function(ev) {
+            const tab = ev.currentTarget.dataset.tab;
+            if (tab !== this.tab) {
+                this.tab = tab;
+                await this.reload();
+            }
+        },
+
+        onSenderChange: async function(value) {
+            if (value !== this.sender) {
+                this.sender = value;
+                await this.reload();
+            }
+        },
+
+        onMoreClick: async function() {
+            await this.loadMore();
+        },
+
+        onJumpClick: async function(ev) {
+            const message = $(ev.currentTarget).closest('.f-gallery-item').data('message');
+            await this.threadView.showMessage(message);
+        }
+    });
+})();
@@ -0,0 +1,124 @@
+// vim: ts=4:sw=4:expandtab
+/* global */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+
+    F.ThreadRepliesView = F.View.extend({
+        template: 'views/thread-replies.html',
+        className: 'f-thread-replies ui segment',
+
+        /* Used by our compose view in place of a real thread view. */
+        allowCalling: false,
+        disableCommands: true,
+        disableDrafts: true,
+
+        events: {
+            'click .f-close': 'onCloseClick'
+        },
+
+        initialize: function(options) {
+            this.thread = options.thread;
+            this.threadView = options.threadView;
+            this.disableRecipientsPrompt = this.threadView.disableRecipientsPrompt;
+            this.replies = this.model.replies;
+        },
+
+        render_attributes: async function() {
+            const sender = await this.model.getSender();
+            return Object.assign({
+                senderName: sender ? sender.getName() : 'Forsta',
+                replyCount: await this.replies.totalCount()
+            }, F.View.prototype.render_attributes.apply(this, arguments));
+        },
+
+        render: async function() {
+            if (this._rendered) {
+                /* Subviews are bound to our DOM; Guard against rerender. */
+                return this;
+            }
+            await F.View.prototype.render.call(this);
+            this.messagesView = new F.MessagesView({
+                collection: this.replies,
+                disableMessageInfo: this.threadView.disableMessageInfo,
+                disableSenderInfo: this.threadView.disableSenderInfo
+            });
+            this.$('.f-reply-messages').prepend(this.messagesView.$el);
+            this.messagesView.setScrollElement(this.$('.f-reply-messages')[0]);
+            this.listenTo(this.messagesView, 'loadmore', this.onLoadMore);
+            this.composeView = new F.ComposeView({
+                el: this.$('.f-reply-compose'),
+                model: this.thread,
+                threadView: this
+            });
+            this.listenTo(this.composeView, 'send', this.onSend);
+            this.listenTo(this.replies, 'add', this.onAddReply);
+            await Promise.all([
+                this.messagesView.render(),
+                this.composeView.render()
+            ]);
+            if (this.replies.length < this.replies.pageSize) {
+                await this.loadMore();
+            }
+            await this.model.markRepliesRead();
+            return this;
+        },
+
+        remove: function() {
+            if (this.messagesView) {
+                this.messagesView.remove();
+            }
+            if (this.composeView) {
+                this.composeView.remove();
+            }
+            return F.View.prototype.remove.apply(this, arguments);
+        },
+
+        loadMore: async function() {
+            if (this.replies.length >= await this.replies.totalCount()) {
+                return;  // Nothing to fetch
+            }
+            if (this._loading) {
+                return;
+            }
+            this._loading = true;
+            try {
+                await this.replies.fetchPage();
+            } finally {
+                this._loading = false;
+            }
+        },
+
+        onLoadMore: async function(messagesView) {
+            const ctx = messagesView.scrollSave();
+            await this.loadMore();
+            messagesView.scrollRestore(ctx);
+        },
+
+        onAddReply: async function(reply) {
+            this.$('.f-reply-count').text(`(${await this.replies.totalCount()})`);
+            if (reply.get('incoming') && reply.isUnread() && !this.threadView.isHidden()) {
+                await this.model.markRepliesRead();
+            }
+        },
+
+        onSend: async function(plain, safe_html, files, mentions) {
+            this.messagesView.scrollTail(/*force*/ true);
+            await this.thread.sendMessage(plain, safe_html, files, {
+                messageRef: this.model.id,
+                mentions
+            });
+        },
+
+        onCloseClick: function() {
+            this.trigger('close', this);
+        },
+
+        focusMessageField: function() {
+            this.composeView.focusMessageField();
+        }
+    });
+})();
@@ -0,0 +1,60 @@
+// vim: ts=4:sw=4:expandtab
+/* global */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    F.TrustPolicyView = F.ModalView.extend({
+        /* Choose whether a thread follows the strict trust policy. */
+
+        contentTemplate: 'views/trust-policy.html',
+        extraClass: 'f-trust-policy',
+        size: 'tiny',
+        icon: 'spy',
+        header: 'Strict Trust',
+        allowMultiple: true,
+        actions: [{
+            label: 'Cancel',
+            class: 'deny'
+        }, {
+            label: 'Save',
+            class: 'primary approve'
+        }],
+
+        initialize: function() {
+            F.ModalView.prototype.initialize.apply(this, arguments);
+            this.on('approve', this.onSaveApprove);
+        },
+
+        render_attributes: async function() {
+            const own = this.model.get('strictTrust');
+            return Object.assign({
+                useDefault: own === undefined,
+                defaultStrict: await F.trustPolicy.getDefault(),
+                strict: await F.trustPolicy.isStrict(this.model)
+            }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
+        },
+
+        render: async function() {
+            await F.ModalView.prototype.render.apply(this, arguments);
+            this.$('.f-use-default.checkbox').checkbox({
+                onChange: () => this.$('.f-custom').toggleClass('disabled', this.isDefaultChecked())
+            });
+            this.$('.f-custom .checkbox').checkbox();
+            return this;
+        },
+
+        isDefaultChecked: function() {
+            return this.$('input[name="useDefault"]').is(':checked');
+        },
+
+        onSaveApprove: async function() {
+            const strict = this.isDefaultChecked() ? undefined :
+                this.$('input[name="strict"]').is(':checked');
+            await F.trustPolicy.setStrict(this.model, strict);
+            this.trigger('saved', this);
+        }
+    });
+})();
@@ -18,6 +18,10 @@
             'click .f-untrust.button': 'onUntrustIdentityClick',
             'click .f-accept.button': 'onAcceptIdentityClick',
             'click .f-block.button': 'onBlockClick',
+            'click .f-quarantine': 'onQuarantineClick',
+            'click .f-verify': 'onVerifyClick',
+            'click .f-identity-history': 'onIdentityHistoryClick',
+            'click .f-sessions': 'onSessionsClick'
         },
 
         initialize: function(options) {
@@ -29,6 +33,7 @@
 
         render_attributes: async function() {
             const trustedIdent = await this.model.getTrustedIdentity();
+            const quarantined = F.QuarantineView && await this.model.getQuarantinedMessages();
             return Object.assign({
                 name: this.model.getName(),
                 avatar: await this.model.getAvatar({size: 'large'}),
@@ -39,6 +44,11 @@
                 trustedIdentity: trustedIdent && trustedIdent.attributes,
                 proposedIdentityPhrase: await this.model.getIdentityPhrase(/*proposed*/ true),
                 identityPhrase: await this.model.getIdentityPhrase(),
+                quarantinedCount: quarantined ? quarantined.length : 0,
+                canVerify: !!F.VerifyIdentityView,
+                canViewIdentityHistory: !!F.IdentityHistoryView,
+                canInspectSessions: !!F.SessionsView,
+                verified: await this.model.isVerified(),
                 isCurrentUser: this.model.id === F.currentUser.id
             }, this.model.attributes);
         },
@@ -78,12 +88,12 @@
                     confirmIcon: 'handshake'
                 });
                 if (confirmed) {
-                    await this.model.trustIdentity();
+                    await this.model.trustIdentity(/*proposed*/ false, {via: 'user-card'});
                 } else {
                     this.$('.ui.checkbox').checkbox('set unchecked');
                 }
             } else {
-                await this.model.untrustIdentity();
+                await this.model.untrustIdentity({via: 'user-card'});
             }
         },
 
@@ -115,15 +125,35 @@
         },
 
         onUntrustIdentityClick: async function(ev) {
-            await this.model.untrustIdentity();
+            await this.model.untrustIdentity({via: 'user-card'});
             await this.render();
         },
 
         onAcceptIdentityClick: async function() {
-            await this.model.trustIdentity(/*proposed*/ true);
+            await this.model.trustIdentity(/*proposed*/ true, {via: 'user-card'});
             await this.render();
         },
 
+        onQuarantineClick: async function() {
+            const view = new F.QuarantineView({model: this.model});
+            view.on('hide', () => this.render());
+            await view.show();
+        },
+
+        onVerifyClick: async function() {
+            const view = new F.VerifyIdentityView({model: this.model});
+            view.on('hide', () => this.render());
+            await view.show();
+        },
+
+        onIdentityHistoryClick: async function() {
+            await (new F.IdentityHistoryView({model: this.model})).show();
+        },
+
+        onSessionsClick: async function() {
+            await (new F.SessionsView({addrs: [this.model.id]})).show();
+        },
+
         onHidden: function() {
             this.remove();
         },
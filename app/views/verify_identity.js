@@ -0,0 +1,140 @@
+// vim: ts=4:sw=4:expandtab
+/* global qrcode jsQR */
+
+(function () {
+    'use strict';
+
+    self.F = self.F || {};
+
+    const scanInterval = 250;  // ms between decode attempts.
+
+
+    F.VerifyIdentityView = F.ModalView.extend({
+        /* Show our verification code for a contact and scan theirs.  Each side scans
+         * the other to verify in both directions. */
+
+        contentTemplate: 'views/verify-identity.html',
+        extraClass: 'f-verify-identity',
+        size: 'tiny',
+        icon: 'qrcode',
+        header: 'Verify Identity',
+        allowMultiple: true,
+        actions: [{
+            label: 'Scan Their Code',
+            class: 'f-scan primary'
+        }, {
+            label: 'Close',
+            class: 'approve'
+        }],
+
+        events: {
+            'click .actions .f-scan': 'onScanClick'
+        },
+
+        initialize: function() {
+            F.ModalView.prototype.initialize.apply(this, arguments);
+            this.on('hide', () => {
+                this._hidden = true;
+                this.stopScan();
+            });
+        },
+
+        render_attributes: async function() {
+            const code = await this.model.getVerificationCode();
+            let qrURL;
+            if (code) {
+                const qr = qrcode(0, 'M');
+                qr.addData(code);
+                qr.make();
+                qrURL = qr.createDataURL(6, 2);
+            }
+            return Object.assign({
+                name: this.model.getName(),
+                qrURL,
+                verified: await this.model.isVerified()
+            }, await F.ModalView.prototype.render_attributes.apply(this, arguments));
+        },
+
+        onScanClick: async function() {
+            if (this.stream) {
+                this.stopScan();
+                return;
+            }
+            if (this._starting) {
+                return;
+            }
+            this._starting = true;
+            let stream;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: {facingMode: 'environment'}
+                });
+            } catch(e) {
+                this.showError(`Camera unavailable: ${e.message}`);
+                return;
+            } finally {
+                this._starting = false;
+            }
+            if (this._hidden) {
+                // Closed while the camera permission prompt was up.
+                for (const track of stream.getTracks()) {
+                    track.stop();
+                }
+                return;
+            }
+            this.stream = stream;
+            this.$('.f-error').addClass('hidden');
+            this.$('.f-scan').text('Stop Scanning');
+            this.$('.f-scanner').removeClass('hidden');
+            const video = this.$('.f-scanner video')[0];
+            video.srcObject = this.stream;
+            await video.play();
+            this._scanTimer = setInterval(() => this.scanFrame(video), scanInterval);
+        },
+
+        stopScan: function() {
+            clearInterval(this._scanTimer);
+            if (this.stream) {
+                for (const track of this.stream.getTracks()) {
+                    track.stop();
+                }
+                this.stream = null;
+            }
+            this.$('.f-scanner').addClass('hidden');
+            this.$('.f-scan').text('Scan Their Code');
+        },
+
+        scanFrame: async function(video) {
+            if (!this.stream || this._checking || video.readyState < video.HAVE_ENOUGH_DATA) {
+                return;
+            }
+            const canvas = this._canvas || (this._canvas = document.createElement('canvas'));
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+            const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const result = jsQR(image.data, image.width, image.height, {inversionAttempts: 'dontInvert'});
+            if (!result || result.data === this._lastCode) {
+                return;
+            }
+            this._lastCode = result.data;
+            this._checking = true;
+            try {
+                await this.model.verifyIdentityCode(result.data);
+            } catch(e) {
+                this.showError(e.message);
+                return;
+            } finally {
+                this._checking = false;
+            }
+            this.stopScan();
+            this.trigger('verified', this);
+            await this.render();
+        },
+
+        showError: function(message) {
+            this.$('.f-error').removeClass('hidden').find('.f-message').text(message);
+        }
+    });
+})();
@@ -0,0 +1,65 @@
+/* global page describe beforeAll expect it F */
+
+const util = require('./util');
+const process = require('process');
+const testTimeout = process.env.HEADLESS === 'false' ? 3600 * 1000 : undefined;
+
+describe('Backup payload tests', () => {
+    beforeAll(async () => {
+        await util.pageSetup();
+        await page.addScriptTag({path: 'app/backup.js'});
+        await page.evaluate(() => {
+            self.encode = async payload => new Uint8Array(
+                await new Response(new Blob(F.backup.encodePayload(payload))).arrayBuffer());
+        });
+    });
+
+    it('round trips json and binary values', async () => {
+        const result = await page.evaluate(async () => {
+            const payload = {
+                version: 1,
+                name: 'ünïcode',
+                stores: {
+                    messages: [['a', {
+                        plain: 'hi',
+                        attachments: [{data: new Uint8Array([1, 2, 3]).buffer}],
+                        key: new Uint8Array([9, 8, 7, 6]).subarray(1, 3)
+                    }]]
+                }
+            };
+            const decoded = F.backup.decodePayload(await self.encode(payload));
+            const [[id, message]] = decoded.stores.messages;
+            return {
+                version: decoded.version,
+                name: decoded.name,
+                id,
+                plain: message.plain,
+                dataIsBuffer: message.attachments[0].data instanceof ArrayBuffer,
+                data: Array.from(new Uint8Array(message.attachments[0].data)),
+                keyIsView: message.key instanceof Uint8Array,
+                key: Array.from(message.key)
+            };
+        });
+        expect(result).toEqual({
+            version: 1,
+            name: 'ünïcode',
+            id: 'a',
+            plain: 'hi',
+            dataIsBuffer: true,
+            data: [1, 2, 3],
+            keyIsView: true,
+            key: [8, 7]
+        });
+    }, testTimeout);
+
+    it('decodes from an offset view', async () => {
+        const value = await page.evaluate(async () => {
+            const encoded = await self.encode({data: new Uint8Array([5, 6]).buffer});
+            const padded = new Uint8Array(encoded.length + 3);
+            padded.set(encoded, 3);
+            const decoded = F.backup.decodePayload(padded.subarray(3));
+            return Array.from(new Uint8Array(decoded.data));
+        });
+        expect(value).toEqual([5, 6]);
+    }, testTimeout);
+});
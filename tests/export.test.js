@@ -0,0 +1,78 @@
+/* global page describe beforeAll expect it F */
+
+const util = require('./util');
+const process = require('process');
+const testTimeout = process.env.HEADLESS === 'false' ? 3600 * 1000 : undefined;
+
+describe('Export zip tests', () => {
+    beforeAll(async () => {
+        await util.pageSetup();
+        await page.addScriptTag({path: 'app/export.js'});
+    });
+
+    it('builds a stored zip archive', async () => {
+        const zip = await page.evaluate(async () => {
+            const blob = F.exporter.buildZip([{
+                name: 'hello.txt',
+                data: 'hello',
+                mtime: new Date(2019, 2, 4, 10, 30, 20).getTime()
+            }, {
+                name: 'files/ünïcode.bin',
+                data: new Uint8Array([1, 2, 3]).buffer
+            }]);
+            const bytes = new Uint8Array(await new Response(blob).arrayBuffer());
+            const view = new DataView(bytes.buffer);
+            const end = bytes.length - 22;
+            const centralOffset = view.getUint32(end + 16, true);
+            const entries = [];
+            for (let offset = centralOffset, i = 0; i < view.getUint16(end + 10, true); i++) {
+                const nameLength = view.getUint16(offset + 28, true);
+                const local = view.getUint32(offset + 42, true);
+                const size = view.getUint32(offset + 24, true);
+                const dataOffset = local + 30 + view.getUint16(local + 26, true);
+                entries.push({
+                    signature: view.getUint32(offset, true),
+                    localSignature: view.getUint32(local, true),
+                    name: new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+                    crc: view.getUint32(offset + 16, true),
+                    time: view.getUint16(offset + 12, true),
+                    date: view.getUint16(offset + 14, true),
+                    data: Array.from(bytes.subarray(dataOffset, dataOffset + size))
+                });
+                offset += 46 + nameLength;
+            }
+            return {
+                type: blob.type,
+                endSignature: view.getUint32(end, true),
+                centralSize: view.getUint32(end + 12, true),
+                centralEnd: centralOffset + view.getUint32(end + 12, true) === end,
+                entries
+            };
+        });
+        expect(zip.type).toBe('application/zip');
+        expect(zip.endSignature).toBe(0x06054b50);
+        expect(zip.centralEnd).toBe(true);
+        expect(zip.entries.map(x => [x.signature, x.localSignature])).toEqual([
+            [0x02014b50, 0x04034b50],
+            [0x02014b50, 0x04034b50]
+        ]);
+        expect(zip.entries.map(x => x.name)).toEqual(['hello.txt', 'files/ünïcode.bin']);
+        expect(zip.entries[0].crc).toBe(0x3610a686);
+        expect(zip.entries[0].data).toEqual([104, 101, 108, 108, 111]);
+        expect(zip.entries[0].time).toBe((10 << 11) | (30 << 5) | 10);
+        expect(zip.entries[0].date).toBe(((2019 - 1980) << 9) | (3 << 5) | 4);
+        expect(zip.entries[1].crc).toBe(0x55bc801d);
+        expect(zip.entries[1].data).toEqual([1, 2, 3]);
+    }, testTimeout);
+
+    it('rejects unsupported file data', async () => {
+        const error = await page.evaluate(() => {
+            try {
+                F.exporter.buildZip([{name: 'bad', data: {}}]);
+            } catch(e) {
+                return e.name;
+            }
+        });
+        expect(error).toBe('TypeError');
+    }, testTimeout);
+});
@@ -0,0 +1,116 @@
+/* global page describe beforeAll beforeEach expect it F Backbone */
+
+const util = require('./util');
+const process = require('process');
+const testTimeout = process.env.HEADLESS === 'false' ? 3600 * 1000 : undefined;
+
+async function fakeState() {
+    await page.evaluate(() => {
+        const state = new Map();
+        F.state = {
+            get: async key => state.get(key),
+            put: async (key, value) => void state.set(key, value)
+        };
+    });
+}
+
+
+describe('Retention policy tests', () => {
+    beforeAll(async () => {
+        await util.pageSetup();
+        await page.addScriptTag({path: 'app/retention.js'});
+    });
+
+    beforeEach(fakeState);
+
+    it('accepts blank and whole positive limits', async () => {
+        const errors = await page.evaluate(() => [
+            undefined,
+            null,
+            {},
+            {days: '', count: null},
+            {days: 30},
+            {days: '7', count: 1000}
+        ].map(x => {
+            try {
+                F.retention.validate(x);
+            } catch(e) {
+                return e.message;
+            }
+        }).filter(x => x));
+        expect(errors).toEqual([]);
+    }, testTimeout);
+
+    it('rejects other limits', async () => {
+        const errors = await page.evaluate(() => [
+            {days: 0},
+            {days: -1},
+            {days: 1.5},
+            {days: 'soon'},
+            {count: 0}
+        ].map(x => {
+            try {
+                F.retention.validate(x);
+            } catch(e) {
+                return `${e.name}: ${e.message}`;
+            }
+        }));
+        expect(errors).toEqual([
+            'TypeError: Days must be a whole number greater than zero',
+            'TypeError: Days must be a whole number greater than zero',
+            'TypeError: Days must be a whole number greater than zero',
+            'TypeError: Days must be a whole number greater than zero',
+            'TypeError: Message count must be a whole number greater than zero'
+        ]);
+    }, testTimeout);
+
+    it('describes policies', async () => {
+        const descriptions = await page.evaluate(() => [
+            null,
+            {days: 0, count: 0},
+            {days: 1},
+            {days: 30},
+            {count: 500},
+            {days: 7, count: 500}
+        ].map(F.retention.describe));
+        expect(descriptions).toEqual([
+            'Keep all messages',
+            'Keep all messages',
+            'Keep messages for 1 day',
+            'Keep messages for 30 days',
+            'Keep at most the last 500 messages',
+            'Keep at most the last 500 messages, none older than 7 days'
+        ]);
+    }, testTimeout);
+
+    it('falls back to the default only for undefined thread policies', async () => {
+        const policies = await page.evaluate(async () => {
+            await F.retention.setDefault({days: '30'});
+            const policy = attrs => F.retention.getPolicy(new Backbone.Model(attrs));
+            return [
+                await policy({}),
+                await policy({retention: null}),
+                await policy({retention: {count: 10}}),
+                await policy({retention: {days: -1}})
+            ];
+        });
+        expect(policies).toEqual([
+            {days: 30, count: null},
+            null,
+            {days: null, count: 10},
+            null
+        ]);
+    }, testTimeout);
+
+    it('refuses to store an invalid default', async () => {
+        const result = await page.evaluate(async () => {
+            await F.retention.setDefault({days: 5});
+            try {
+                await F.retention.setDefault({days: 'x'});
+            } catch(e) {
+                return {error: e.name, policy: await F.retention.getDefault()};
+            }
+        });
+        expect(result).toEqual({error: 'TypeError', policy: {days: 5, count: null}});
+    }, testTimeout);
+});
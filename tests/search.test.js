@@ -0,0 +1,111 @@
+/* global page describe beforeAll expect it F moment */
+
+const util = require('./util');
+const process = require('process');
+const testTimeout = process.env.HEADLESS === 'false' ? 3600 * 1000 : undefined;
+
+describe('Search query tests', () => {
+    beforeAll(async () => {
+        await util.pageSetup();
+        await page.addScriptTag({path: 'app/search.js'});
+    });
+
+    it('parses words and phrases', async () => {
+        const clauses = await page.evaluate(() => F.search.parseQuery('Hello "Big  World"').clauses);
+        expect(clauses).toEqual([
+            [{key: 'text', value: 'hello', input: 'Hello', negate: false, raw: 'Hello', invalid: false}],
+            [{key: 'phrase', value: 'big world', input: 'Big  World', negate: false,
+              raw: '"Big  World"', invalid: false}]
+        ]);
+    }, testTimeout);
+
+    it('joins OR terms into one clause', async () => {
+        const clauses = await page.evaluate(() => F.search.parseQuery('from:bob OR from:alice cats')
+            .clauses.map(x => x.map(t => `${t.key}:${t.value}`)));
+        expect(clauses).toEqual([['from:bob', 'from:alice'], ['text:cats']]);
+    }, testTimeout);
+
+    it('ignores a leading or dangling OR', async () => {
+        const clauses = await page.evaluate(() => F.search.parseQuery('OR cats OR')
+            .clauses.map(x => x.map(t => t.value)));
+        expect(clauses).toEqual([['cats']]);
+    }, testTimeout);
+
+    it('parses negated and keyed terms', async () => {
+        const terms = await page.evaluate(() => F.search.parseQuery('-has:file is:Mentioned -dogs')
+            .clauses.map(([t]) => [t.key, t.value, t.negate]));
+        expect(terms).toEqual([
+            ['has', 'attachment', true],
+            ['is', 'mention', false],
+            ['text', 'dogs', true]
+        ]);
+    }, testTimeout);
+
+    it('treats unknown keys as text', async () => {
+        const terms = await page.evaluate(() => F.search.parseQuery('https://forsta.io 10:30')
+            .clauses.map(([t]) => [t.key, t.value]));
+        expect(terms).toEqual([['text', 'https://forsta.io'], ['text', '10:30']]);
+    }, testTimeout);
+
+    it('keeps invalid terms out of the clauses', async () => {
+        const parsed = await page.evaluate(() => F.search.parseQuery('has:nothing before:someday ok'));
+        expect(parsed.terms.filter(x => x.invalid).map(x => x.key)).toEqual(['has', 'before']);
+        expect(parsed.clauses.map(([t]) => t.value)).toEqual(['ok']);
+    }, testTimeout);
+
+    it('parses dates to the start of the day', async () => {
+        const [date, expected] = await page.evaluate(() => [
+            F.search.parseQuery('after:2019-03-04').clauses[0][0].date,
+            moment('2019-03-04', 'YYYY-MM-DD').startOf('day').valueOf()
+        ]);
+        expect(date).toBe(expected);
+    }, testTimeout);
+
+    it('builds index criteria from required terms only', async () => {
+        const criteria = await page.evaluate(() => F.search.getIndexCriteria(
+            F.search.parseQuery('hello "big world" from:bob -to:alice in:general cats OR dogs')));
+        expect(criteria).toEqual([
+            {index: 'body', criteria: 'hello'},
+            {index: 'body', criteria: 'big world'},
+            {index: 'from', criteria: 'bob'}
+        ]);
+    }, testTimeout);
+
+    it('builds the tightest date range', async () => {
+        const range = await page.evaluate(() => {
+            const r = F.search.getDateRange(F.search.parseQuery(
+                'after:2019-01-01 after:2019-02-01 before:2019-04-01 before:2019-03-01'));
+            return {
+                lower: r.lower,
+                upper: r.upper,
+                lowerOpen: r.lowerOpen,
+                upperOpen: r.upperOpen,
+                expected: [moment('2019-02-01').valueOf(), moment('2019-03-01').valueOf()]
+            };
+        });
+        expect([range.lower, range.upper]).toEqual(range.expected);
+        expect(range.lowerOpen).toBe(false);
+        expect(range.upperOpen).toBe(true);
+    }, testTimeout);
+
+    it('builds open ended and empty date ranges', async () => {
+        const ranges = await page.evaluate(() => {
+            const range = q => F.search.getDateRange(F.search.parseQuery(q));
+            const after = range('after:2019-01-01');
+            const before = range('before:2019-01-01');
+            return {
+                after: [after.lower, after.upper === undefined],
+                before: [before.lower === undefined, before.upper, before.upperOpen],
+                impossible: range('after:2019-02-01 before:2019-01-01'),
+                optional: range('after:2019-01-01 OR cats') === undefined,
+                negated: range('-after:2019-01-01') === undefined,
+                expected: moment('2019-01-01').valueOf()
+            };
+        });
+        expect(ranges.after).toEqual([ranges.expected, true]);
+        expect(ranges.before).toEqual([true, ranges.expected, true]);
+        expect(ranges.impossible).toBe(null);
+        expect(ranges.optional).toBe(true);
+        expect(ranges.negated).toBe(true);
+    }, testTimeout);
+});
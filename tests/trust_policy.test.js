@@ -0,0 +1,113 @@
+/* global page describe beforeAll beforeEach expect it F Backbone */
+
+const util = require('./util');
+const process = require('process');
+const testTimeout = process.env.HEADLESS === 'false' ? 3600 * 1000 : undefined;
+
+async function fakeState() {
+    await page.evaluate(() => {
+        const state = new Map();
+        F.state = {
+            get: async key => state.get(key),
+            put: async (key, value) => void state.set(key, value)
+        };
+    });
+}
+
+
+describe('Trust policy tests', () => {
+    beforeAll(async () => {
+        await util.pageSetup();
+        await page.addScriptTag({path: 'app/trust_policy.js'});
+        await page.evaluate(() => {
+            F.currentUser = {id: 'me'};
+            self.changedUsers = new Set();
+            F.atlas = {
+                getContacts: async ids => ids.map(id => ({
+                    id,
+                    hasIdentityChanged: async () => self.changedUsers.has(id)
+                }))
+            };
+            self.makeThread = attrs => Object.assign(new Backbone.Model(attrs), {
+                getMembers: async () => ['me', 'alice', 'bob'],
+                holdSend: async function(msg, payload, options) {
+                    this.held = (this.held || []).concat([{msg, payload, options}]);
+                }
+            });
+        });
+    });
+
+    beforeEach(async () => {
+        await fakeState();
+        await page.evaluate(() => self.changedUsers.clear());
+    });
+
+    it('uses the thread setting before the default', async () => {
+        const strict = await page.evaluate(async () => {
+            await F.trustPolicy.setDefault(true);
+            return [
+                await F.trustPolicy.isStrict(self.makeThread({})),
+                await F.trustPolicy.isStrict(self.makeThread({strictTrust: false})),
+                await F.trustPolicy.isStrict(self.makeThread({strictTrust: true}))
+            ];
+        });
+        expect(strict).toEqual([true, false, true]);
+    }, testTimeout);
+
+    it('holds only strict sends to changed members', async () => {
+        const hold = await page.evaluate(async () => {
+            const strict = self.makeThread({strictTrust: true});
+            const lax = self.makeThread({strictTrust: false});
+            const results = [
+                await F.trustPolicy.shouldHold(strict),
+                await F.trustPolicy.shouldHold(lax)
+            ];
+            self.changedUsers.add('bob');
+            results.push(await F.trustPolicy.shouldHold(strict));
+            results.push(await F.trustPolicy.shouldHold(strict, ['me', 'alice']));
+            results.push(await F.trustPolicy.shouldHold(lax));
+            results.push((await F.trustPolicy.getChangedMembers(strict)).map(x => x.id));
+            return results;
+        });
+        expect(hold).toEqual([false, false, true, false, false, ['bob']]);
+    }, testTimeout);
+
+    it('resolves key changes against in flight sends', async () => {
+        const results = await page.evaluate(async () => {
+            await F.trustPolicy.setDefault(true);
+            const strict = self.makeThread({strictTrust: true});
+            const lax = self.makeThread({strictTrust: false});
+            const results = [await F.trustPolicy.isStrictForSend('bob')];
+            const untrackLax = F.trustPolicy.trackSend({
+                thread: lax,
+                msg: 'lax-msg',
+                payload: {addrs: ['alice', 'bob']}
+            });
+            results.push(await F.trustPolicy.isStrictForSend('bob'));
+            const untrackStrict = F.trustPolicy.trackSend({
+                thread: strict,
+                msg: 'strict-msg',
+                payload: {addrs: ['bob']},
+                options: {ephemeral: true}
+            });
+            results.push(await F.trustPolicy.isStrictForSend('bob'));
+            results.push(await F.trustPolicy.isStrictForSend('alice'));
+            await F.trustPolicy.holdRefusedSends('bob');
+            untrackLax();
+            untrackStrict();
+            await F.trustPolicy.setDefault(false);
+            results.push(await F.trustPolicy.isStrictForSend('bob'));
+            results.push(strict.held, lax.held);
+            return results;
+        });
+        expect(results).toEqual([
+            true,
+            false,
+            true,
+            false,
+            false,
+            [{msg: 'strict-msg', payload: {addrs: ['bob']}, options: {ephemeral: true}}],
+            [{msg: 'lax-msg', payload: {addrs: ['bob']}}]
+        ]);
+    }, testTimeout);
+});